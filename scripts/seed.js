@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+// Deterministic test data: the same options always produce the same users, products and orders.
+//
+//   node scripts/seed.js [options]
+//     --mode incremental|reset   incremental (default) tops the collections up to the requested
+//                                sizes; reset drops them first
+//     --users N --products N --orders N   total sizes (default 10000 / 2000 / 50000, or the
+//                                current sizes in incremental runs)
+//     --seed TEXT                random seed (default perf-lab)
+//     --anchor ISO_DATE          the dataset's "now"; documents spread over the days before it
+//     --days N                   how far back the data goes (default 365)
+//     --zipf S                   product popularity skew, higher is more skewed (default 1.1)
+//     --batch N                  documents per insertMany (default 5000)
+//     --status                   print the current dataset and exit
+//
+// Incremental runs keep the seed, anchor, days and skew of the data already there, and can't
+// shrink it. Every run records a fingerprint (dataset_metadata collection, and /health) that
+// changes whenever the generated data would; load test results store it, so results are only
+// compared across identical datasets. Requests made by load tests change the data too, so reset
+// before benchmarks that must be repeatable.
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { User } = require('../src/models/user');
+const { Product } = require('../src/models/product');
+const { Order } = require('../src/models/order');
+const mongoConfig = require('../src/config/mongo');
+const { readDatasetMetadata, writeDatasetMetadata, clearDatasetMetadata } = require('../src/models/dataset');
+const { GENERATOR_VERSION, Dataset } = require('./seed/generators');
+
+const DEFAULTS = {
+  users: 10000,
+  products: 2000,
+  orders: 50000,
+  seed: 'perf-lab',
+  anchor: '2026-01-01T00:00:00.000Z',
+  days: 365,
+  zipf: 1.1,
+  batch: 5000
+};
+// Generation order: orders reference users and products
+const COLLECTIONS = [
+  { name: 'users', model: User, generate: (dataset, index) => dataset.user(index) },
+  { name: 'products', model: Product, generate: (dataset, index) => dataset.product(index) },
+  { name: 'orders', model: Order, generate: (dataset, index) => dataset.order(index) }
+];
+// What makes two datasets with the same counts differ
+const PARAMETERS = ['seed', 'anchor', 'days', 'zipf', 'generatorVersion'];
+
+const USAGE = 'Usage: node scripts/seed.js [--mode incremental|reset] [--users N] [--products N] [--orders N] '
+  + '[--seed TEXT] [--anchor ISO_DATE] [--days N] [--zipf S] [--batch N] [--status]';
+
+function parseCli() {
+  const options = {};
+  ['mode', 'users', 'products', 'orders', 'seed', 'anchor', 'days', 'zipf', 'batch'].forEach(name => {
+    options[name] = { type: 'string' };
+  });
+  options.status = { type: 'boolean', default: false };
+  options.help = { type: 'boolean', short: 'h', default: false };
+  const { values } = parseArgs({ options });
+  if (values.help) {
+    throw new Error(USAGE);
+  }
+  const mode = values.mode || 'incremental';
+  if (!['incremental', 'reset'].includes(mode)) {
+    throw new Error(`--mode must be incremental or reset\n${USAGE}`);
+  }
+  for (const name of ['users', 'products', 'orders', 'days', 'batch']) {
+    if (values[name] !== undefined && !(Number.isInteger(Number(values[name])) && Number(values[name]) >= 0)) {
+      throw new Error(`--${name} must be a non-negative integer`);
+    }
+  }
+  if (values.batch !== undefined && Number(values.batch) < 1) {
+    throw new Error('--batch must be at least 1');
+  }
+  if (values.zipf !== undefined && !(Number(values.zipf) > 0)) {
+    throw new Error('--zipf must be a positive number');
+  }
+  if (values.anchor !== undefined && Number.isNaN(Date.parse(values.anchor))) {
+    throw new Error('--anchor must be an ISO 8601 date');
+  }
+  return { ...values, mode };
+}
+
+// Explicit options win, then what the existing dataset used, then the defaults
+function resolveParameters(cli, existing) {
+  const pick = (name, parse) => {
+    if (cli[name] !== undefined) {
+      return parse(cli[name]);
+    }
+    return existing ? existing[name] : parse(DEFAULTS[name]);
+  };
+  return {
+    seed: pick('seed', String),
+    anchor: pick('anchor', value => new Date(value).toISOString()),
+    days: pick('days', Number),
+    zipf: pick('zipf', Number),
+    generatorVersion: GENERATOR_VERSION
+  };
+}
+
+function resolveCounts(cli, fallback) {
+  const counts = {};
+  COLLECTIONS.forEach(({ name }) => {
+    counts[name] = cli[name] !== undefined ? Number(cli[name]) : fallback[name];
+  });
+  return counts;
+}
+
+function sameCounts(a, b) {
+  return COLLECTIONS.every(({ name }) => a[name] === b[name]);
+}
+
+// The data follows from the parameters and the final sizes, plus one thing incremental runs add:
+// orders pick from the users and products that existed when they were generated. So each run of
+// orders counts with the sizes it saw, and runs that saw the same sizes merge - topping up in
+// several steps gives the same fingerprint as seeding at once whenever it gives the same data.
+function fingerprint(parameters, steps) {
+  const segments = [];
+  let orders = 0;
+  steps.forEach(({ counts }) => {
+    if (counts.orders > orders) {
+      const last = segments[segments.length - 1];
+      if (last && last.users === counts.users && last.products === counts.products) {
+        last.orders = counts.orders;
+      } else {
+        segments.push({ ...counts });
+      }
+      orders = counts.orders;
+    }
+  });
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ parameters, counts: steps[steps.length - 1].counts, segments }))
+    .digest('hex');
+}
+
+async function hasDocuments() {
+  for (const { model } of COLLECTIONS) {
+    if (await model.collection.findOne({}, { projection: { _id: 1 } })) {
+      return true;
+    }
+  }
+  return false;
+}
+
+async function dropCollections() {
+  for (const { model } of COLLECTIONS) {
+    try {
+      await model.collection.drop();
+    } catch (error) {
+      // Never created
+      if (error.codeName !== 'NamespaceNotFound') {
+        throw error;
+      }
+    }
+  }
+  await clearDatasetMetadata();
+}
+
+// Unordered, and a rerun after a crash may regenerate documents that already made it in:
+// those duplicate _ids are the same documents, so they are skipped rather than fatal
+async function insertBatch(model, docs) {
+  try {
+    return (await model.collection.insertMany(docs, { ordered: false })).insertedCount;
+  } catch (error) {
+    if (error.writeErrors && error.writeErrors.length && error.writeErrors.every(writeError => writeError.code === 11000)) {
+      return error.insertedCount;
+    }
+    throw error;
+  }
+}
+
+// Generates [from, to) while the previous batch is being written
+async function fill({ name, model, generate }, dataset, from, to, batchSize) {
+  const startedAt = Date.now();
+  let inserted = 0;
+  let pending = null;
+  let reported = 0;
+  for (let start = from; start < to; start += batchSize) {
+    const docs = [];
+    for (let index = start; index < Math.min(to, start + batchSize); index++) {
+      docs.push(generate(dataset, index));
+    }
+    if (pending) {
+      inserted += await pending;
+    }
+    pending = insertBatch(model, docs);
+
+    // Every tenth
+    const tenths = Math.floor((start + docs.length - from) / (to - from) * 10);
+    if (tenths > reported && tenths < 10) {
+      console.log(`  ${name.padEnd(9)} ${tenths * 10}%`);
+      reported = tenths;
+    }
+  }
+  if (pending) {
+    inserted += await pending;
+  }
+  const seconds = (Date.now() - startedAt) / 1000;
+  console.log(`  ${name.padEnd(9)} +${inserted} (${from} -> ${to}) in ${seconds.toFixed(1)}s, ${Math.round((to - from) / seconds)} docs/s`);
+}
+
+function printMetadata(metadata) {
+  if (!metadata) {
+    console.log('No seeded dataset in this database');
+    return;
+  }
+  if (metadata.seeding) {
+    console.log(`Interrupted while seeding ${COLLECTIONS.map(({ name }) => `${metadata.seeding.counts[name]} ${name}`).join(', ')}; rerun to finish`);
+  }
+  console.log(`Dataset ${metadata.fingerprint}`);
+  console.log(`  seed ${metadata.seed}, anchor ${metadata.anchor}, ${metadata.days} days, zipf ${metadata.zipf}, generator v${metadata.generatorVersion}`);
+  console.log(`  ${COLLECTIONS.map(({ name }) => `${metadata.counts[name]} ${name}`).join(', ')}`);
+  metadata.steps.forEach(step => {
+    console.log(`  ${step.at}  ${step.mode.padEnd(11)} -> ${COLLECTIONS.map(({ name }) => step.counts[name]).join(' / ')}`);
+  });
+}
+
+async function seed(cli) {
+  if (cli.status) {
+    printMetadata(await readDatasetMetadata());
+    return;
+  }
+
+  let existing = cli.mode === 'incremental' ? await readDatasetMetadata() : null;
+  // A run that died part way left metadata saying what it was seeding
+  const resuming = Boolean(existing && existing.seeding);
+  const parameters = resolveParameters(cli, existing);
+  const counts = resolveCounts(cli, resuming ? existing.seeding.counts : (existing ? existing.counts : DEFAULTS));
+
+  if (cli.mode === 'reset') {
+    console.log('🗑️  Dropping users, products and orders');
+    await dropCollections();
+  } else if (!existing && await hasDocuments()) {
+    throw new Error('The collections hold documents the seeder did not create; rerun with --mode reset to replace them');
+  } else if (existing) {
+    const changed = PARAMETERS.filter(name => existing[name] !== parameters[name]);
+    if (changed.length) {
+      throw new Error(`The existing dataset was generated with different ${changed.join(', ')}; rerun with --mode reset to regenerate it`);
+    }
+    const shrinking = COLLECTIONS.filter(({ name }) => counts[name] < existing.counts[name]).map(({ name }) => name);
+    if (shrinking.length) {
+      throw new Error(`Incremental runs can't shrink ${shrinking.join(', ')}; rerun with --mode reset`);
+    }
+    // What made it in was generated for those sizes
+    if (resuming && !sameCounts(counts, existing.seeding.counts)) {
+      throw new Error('An interrupted run has to be finished with the sizes it was started with; rerun without sizes, or with --mode reset');
+    }
+  }
+
+  const current = existing ? existing.counts : { users: 0, products: 0, orders: 0 };
+  if (!resuming && sameCounts(counts, current)) {
+    console.log('Nothing to do: the dataset already has the requested sizes');
+    printMetadata(existing);
+    return;
+  }
+  if (counts.orders > 0 && (!counts.users || !counts.products)) {
+    throw new Error('Orders need at least one user and one product');
+  }
+
+  // Until this run completes the database holds no dataset that has a fingerprint
+  const steps = existing ? existing.steps : [];
+  await writeDatasetMetadata({
+    ...parameters,
+    counts: current,
+    fingerprint: null,
+    seeding: { counts, startedAt: resuming ? existing.seeding.startedAt : new Date().toISOString() },
+    steps
+  });
+
+  const batchSize = Number(cli.batch || DEFAULTS.batch);
+  const dataset = new Dataset({ ...parameters, anchor: new Date(parameters.anchor), counts });
+  const startedAt = Date.now();
+  console.log(`🌱 ${resuming ? 'Resuming' : 'Seeding'} ${COLLECTIONS.map(({ name }) => `${counts[name]} ${name}`).join(', ')} (seed ${parameters.seed})`);
+  for (const collection of COLLECTIONS) {
+    if (counts[collection.name] > current[collection.name]) {
+      await fill(collection, dataset, current[collection.name], counts[collection.name], batchSize);
+    }
+  }
+
+  // Building indexes once the data is in is much faster than maintaining them during inserts
+  console.log('  building indexes');
+  for (const { model } of COLLECTIONS) {
+    await model.createIndexes();
+  }
+
+  const seededAt = new Date().toISOString();
+  const allSteps = [...steps, { at: seededAt, mode: cli.mode, counts, durationSeconds: Math.round((Date.now() - startedAt) / 1000) }];
+  const metadata = {
+    ...parameters,
+    counts,
+    fingerprint: fingerprint(parameters, allSteps),
+    seededAt,
+    steps: allSteps
+  };
+  await writeDatasetMetadata(metadata);
+  console.log(`✅ Done in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+  printMetadata(metadata);
+  // Responses cached before the seed describe the old data
+  console.log('Cached responses may predate this data: flush Redis (or wait out the cache TTLs) before benchmarking');
+}
+
+async function main() {
+  let cli;
+  try {
+    cli = parseCli();
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+  // Indexes are built once the data is in, not by mongoose on connect
+  await mongoose.connect(mongoConfig.uri, {
+    autoIndex: false,
+    serverSelectionTimeoutMS: 5000
+  });
+  try {
+    await seed(cli);
+    return 0;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
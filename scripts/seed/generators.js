@@ -0,0 +1,291 @@
+// Document generators for the seeder. Each takes an index and the dataset context and always
+// returns the same document for the same (seed, index), with references (order -> user,
+// order -> product) resolved through the same index arithmetic rather than database lookups.
+const mongoose = require('mongoose');
+const { Random, Zipf } = require('./random');
+
+// Bump when a generator changes what it produces: the fingerprint includes it, so results
+// from an older dataset stop comparing equal
+const GENERATOR_VERSION = 1;
+
+// bcrypt('password123', 10), shared by every seeded user: hashing per user would make the
+// seeder CPU-bound, and load tests log in with the same password the stress scripts use
+const PASSWORD_HASH = '$2b$10$Bz1Z9PRfMWjL5d2reOxfqeHlbvdcnVVSqBLSDzHRZ9PX0lnB//qCC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Customer activity is skewed too, but less than product popularity
+const USER_ZIPF_EXPONENT = 0.8;
+
+const CANCELLED_SHARE = 0.05;
+
+// Bounds the memo of users and products that orders reference
+const BASICS_CACHE_SIZE = 100000;
+
+const FIRST_NAMES = ['james', 'mary', 'robert', 'patricia', 'john', 'jennifer', 'michael', 'linda', 'david', 'elizabeth',
+  'william', 'barbara', 'richard', 'susan', 'joseph', 'jessica', 'thomas', 'sarah', 'carlos', 'karen', 'wei', 'aisha',
+  'hiroshi', 'fatima', 'ivan', 'sofia', 'lucas', 'emma', 'noah', 'olivia', 'mateo', 'chloe', 'arjun', 'priya', 'omar', 'lea'];
+const LAST_NAMES = ['smith', 'johnson', 'williams', 'brown', 'jones', 'garcia', 'miller', 'davis', 'rodriguez', 'martinez',
+  'hernandez', 'lopez', 'wilson', 'anderson', 'thomas', 'taylor', 'moore', 'jackson', 'martin', 'lee', 'chen', 'wang',
+  'kumar', 'singh', 'tanaka', 'sato', 'muller', 'schmidt', 'rossi', 'dubois', 'silva', 'novak', 'kowalski', 'nguyen'];
+const EMAIL_DOMAINS = [['gmail.com', 40], ['yahoo.com', 15], ['outlook.com', 15], ['icloud.com', 10], ['proton.me', 5], ['example.com', 15]];
+
+// [city, country, weight]
+const LOCATIONS = [
+  ['New York', 'US', 12], ['Los Angeles', 'US', 8], ['Chicago', 'US', 6], ['Austin', 'US', 4], ['Seattle', 'US', 4],
+  ['London', 'UK', 8], ['Manchester', 'UK', 3], ['Berlin', 'DE', 5], ['Munich', 'DE', 3], ['Paris', 'FR', 5],
+  ['Madrid', 'ES', 3], ['Rome', 'IT', 3], ['Amsterdam', 'NL', 3], ['Toronto', 'CA', 4], ['Sydney', 'AU', 3],
+  ['Tokyo', 'JP', 5], ['Singapore', 'SG', 2], ['Bangalore', 'IN', 4], ['Sao Paulo', 'BR', 3], ['Mexico City', 'MX', 3]
+];
+const STREETS = ['Main St', 'Oak Ave', 'Maple Dr', 'Park Rd', 'High St', 'Cedar Ln', 'Elm St', 'Lake View', 'Station Rd', 'Mill Lane'];
+
+// Category -> typical price, the nouns its products are named after and its own tags.
+// Listed from most to least common.
+const CATEGORIES = [
+  { name: 'electronics', basePrice: 120, nouns: ['Headphones', 'Charger', 'Monitor', 'Keyboard', 'Speaker', 'Webcam', 'Router', 'Tablet'], tags: ['wireless', 'bluetooth', 'usb-c', '4k', 'smart'] },
+  { name: 'books', basePrice: 18, nouns: ['Novel', 'Cookbook', 'Guide', 'Anthology', 'Biography', 'Handbook', 'Atlas'], tags: ['paperback', 'hardcover', 'bestseller', 'illustrated'] },
+  { name: 'clothing', basePrice: 35, nouns: ['T-Shirt', 'Jacket', 'Sweater', 'Jeans', 'Dress', 'Hoodie', 'Scarf', 'Sneakers'], tags: ['cotton', 'wool', 'slim-fit', 'unisex', 'waterproof'] },
+  { name: 'home', basePrice: 45, nouns: ['Lamp', 'Rug', 'Cushion', 'Vase', 'Blanket', 'Shelf', 'Mirror', 'Clock'], tags: ['handmade', 'minimalist', 'vintage', 'ceramic'] },
+  { name: 'kitchen', basePrice: 30, nouns: ['Skillet', 'Knife Set', 'Kettle', 'Blender', 'Cutting Board', 'Mug', 'Toaster'], tags: ['stainless', 'non-stick', 'dishwasher-safe', 'cast-iron'] },
+  { name: 'sports', basePrice: 55, nouns: ['Yoga Mat', 'Dumbbell', 'Water Bottle', 'Running Shoes', 'Tent', 'Backpack', 'Racket'], tags: ['outdoor', 'lightweight', 'breathable', 'training'] },
+  { name: 'toys', basePrice: 25, nouns: ['Puzzle', 'Board Game', 'Building Set', 'Plush Bear', 'Kite', 'Robot Kit'], tags: ['educational', 'ages-3+', 'family', 'stem'] },
+  { name: 'beauty', basePrice: 22, nouns: ['Moisturizer', 'Serum', 'Shampoo', 'Lip Balm', 'Perfume', 'Face Mask'], tags: ['vegan', 'organic', 'fragrance-free', 'spf'] },
+  { name: 'garden', basePrice: 40, nouns: ['Planter', 'Hose', 'Shears', 'Seed Kit', 'Bird Feeder', 'Trowel'], tags: ['outdoor', 'eco', 'weatherproof'] },
+  { name: 'office', basePrice: 15, nouns: ['Notebook', 'Pen Set', 'Desk Organizer', 'Stapler', 'Planner', 'Chair Mat'], tags: ['recycled', 'ergonomic', 'refillable'] }
+];
+const ADJECTIVES = ['Classic', 'Premium', 'Compact', 'Deluxe', 'Essential', 'Modern', 'Rustic', 'Ultra', 'Eco', 'Pro',
+  'Vintage', 'Smart', 'Portable', 'Everyday', 'Signature', 'Heritage', 'Urban', 'Nordic'];
+const GENERAL_TAGS = ['new', 'sale', 'gift', 'popular', 'limited', 'clearance', 'premium', 'budget'];
+
+// Object ids carry the document's creation time (so they sort like createdAt), then a
+// per-collection byte and the index, which keeps them unique without any randomness
+const COLLECTION_CODES = { user: 1, product: 2, order: 3, orderItem: 4 };
+
+function objectId(collection, index, createdAt) {
+  const bytes = Buffer.alloc(12);
+  bytes.writeUInt32BE(Math.floor(createdAt.getTime() / 1000), 0);
+  bytes.writeUInt8(COLLECTION_CODES[collection], 4);
+  bytes.writeUIntBE(index, 5, 6);
+  return new mongoose.Types.ObjectId(bytes);
+}
+
+function uuid(random) {
+  const hex = [];
+  for (let i = 0; i < 32; i++) {
+    hex.push(Math.floor(random.next() * 16).toString(16));
+  }
+  hex[12] = '4';
+  hex[16] = (8 + Math.floor(random.next() * 4)).toString(16);
+  const s = hex.join('');
+  return `${s.slice(0, 8)}-${s.slice(8, 12)}-${s.slice(12, 16)}-${s.slice(16, 20)}-${s.slice(20)}`;
+}
+
+function between(random, start, end) {
+  return new Date(start + Math.floor(random.next() * Math.max(0, end - start)));
+}
+
+// Prices cluster around the category's typical price with a long tail of expensive items
+function priceFor(random, basePrice) {
+  const price = basePrice * Math.exp(0.7 * random.normal());
+  return Math.max(0.99, Math.round(price) - 0.01);
+}
+
+function address(random) {
+  const [city, country] = random.weighted(LOCATIONS.map(location => [location, location[2]]));
+  return {
+    street: `${random.int(1, 9999)} ${random.pick(STREETS)}`,
+    city,
+    zipCode: String(random.int(10000, 99999)),
+    country
+  };
+}
+
+function remember(cache, key, value) {
+  if (cache.size >= BASICS_CACHE_SIZE) {
+    cache.clear();
+  }
+  cache.set(key, value);
+}
+
+// The dataset: its parameters plus the derived state every generator shares
+class Dataset {
+  // { seed, anchor: Date, days, zipf, counts: { users, products, orders } }
+  constructor({ seed, anchor, days, zipf, counts }) {
+    this.seed = seed;
+    this.end = anchor.getTime();
+    this.start = this.end - days * DAY_MS;
+    this.zipf = zipf;
+    this.counts = counts;
+    this.categories = new Zipf(CATEGORIES.length, 1, { scatter: false });
+    this.productPopularity = counts.products ? new Zipf(counts.products, zipf) : null;
+    this.userActivity = counts.users ? new Zipf(counts.users, USER_ZIPF_EXPONENT) : null;
+    // Orders reuse users' and products' fields; memoized because popular ones recur constantly
+    this.userCache = new Map();
+    this.productCache = new Map();
+  }
+
+  random(collection, index) {
+    return new Random(`${this.seed}:${collection}:${index}`);
+  }
+
+  // Everything but the arrays, for orders to reference
+  userBasics(index) {
+    let basics = this.userCache.get(index);
+    if (!basics) {
+      const random = this.random('user', index);
+      const createdAt = between(random, this.start, this.end);
+      basics = { _id: objectId('user', index, createdAt), createdAt, address: address(random) };
+      remember(this.userCache, index, basics);
+    }
+    return basics;
+  }
+
+  productBasics(index) {
+    let basics = this.productCache.get(index);
+    if (!basics) {
+      const random = this.random('product', index);
+      // Products mostly predate the window's orders: the catalog is built in its first tenth
+      const createdAt = between(random, this.start, this.start + (this.end - this.start) / 10);
+      const category = CATEGORIES[this.categories.sample(random)];
+      basics = { _id: objectId('product', index, createdAt), createdAt, category, price: priceFor(random, category.basePrice) };
+      remember(this.productCache, index, basics);
+    }
+    return basics;
+  }
+
+  user(index) {
+    const { _id, createdAt, address: home } = this.userBasics(index);
+    // The basics consumed the start of this user's stream; continue from a fresh one
+    const random = this.random('user-details', index);
+    const first = random.pick(FIRST_NAMES);
+    const last = random.pick(LAST_NAMES);
+    const username = `${first}.${last}${index}`;
+    const logins = Math.min(50, Math.floor(-Math.log(1 - random.next()) * 6));
+    const loginHistory = [];
+    for (let i = 0; i < logins; i++) {
+      loginHistory.push({
+        timestamp: between(random, createdAt.getTime(), this.end),
+        ip: `${random.int(1, 223)}.${random.int(0, 255)}.${random.int(0, 255)}.${random.int(1, 254)}`
+      });
+    }
+    loginHistory.sort((a, b) => a.timestamp - b.timestamp);
+    return {
+      _id,
+      username,
+      email: `${username}@${random.weighted(EMAIL_DOMAINS)}`,
+      password: PASSWORD_HASH,
+      profile: {
+        age: Math.min(90, Math.max(18, Math.round(38 + 13 * random.normal()))),
+        location: home.city,
+        preferences: {
+          newsletter: random.chance(0.35),
+          theme: random.weighted([['light', 6], ['dark', 4]]),
+          currency: random.weighted([['USD', 6], ['EUR', 3], ['GBP', 1]])
+        }
+      },
+      loginHistory,
+      createdAt
+    };
+  }
+
+  product(index) {
+    const { _id, createdAt, category, price } = this.productBasics(index);
+    const random = this.random('product-details', index);
+    const noun = random.pick(category.nouns);
+    const adjective = random.pick(ADJECTIVES);
+    const tags = random.sample(category.tags, random.int(1, 3));
+    if (random.chance(0.4)) {
+      tags.push(random.pick(GENERAL_TAGS));
+    }
+    return {
+      _id,
+      name: `${adjective} ${noun} ${index}`,
+      description: `${adjective} ${noun.toLowerCase()} from our ${category.name} range: ${tags.join(', ')}.`,
+      price,
+      category: category.name,
+      // A tenth is sold out; the rest is skewed toward small quantities
+      stock: random.chance(0.1) ? 0 : Math.floor(Math.pow(random.next(), 2) * 500) + 1,
+      tags,
+      createdAt
+    };
+  }
+
+  order(index) {
+    const random = this.random('order', index);
+    const userIndex = this.userActivity.sample(random);
+    const user = this.userBasics(userIndex);
+    const createdAt = between(random, Math.max(user.createdAt.getTime(), this.start + (this.end - this.start) / 10), this.end);
+
+    const items = [];
+    const itemCount = random.weighted([[1, 50], [2, 25], [3, 13], [4, 8], [5, 4]]);
+    for (let i = 0; i < itemCount; i++) {
+      const product = this.productBasics(this.productPopularity.sample(random));
+      const existing = items.find(item => item.productId.equals(product._id));
+      if (existing) {
+        existing.quantity++;
+      } else {
+        items.push({ _id: objectId('orderItem', index * 8 + i, createdAt), productId: product._id, quantity: random.weighted([[1, 75], [2, 18], [3, 7]]), price: product.price });
+      }
+    }
+    const totalAmount = Math.round(items.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100;
+
+    const { status, statusHistory } = this.lifecycle(random, createdAt);
+    return {
+      _id: objectId('order', index, createdAt),
+      orderId: uuid(random),
+      userId: user._id,
+      items,
+      totalAmount,
+      status,
+      // Most orders ship home, some somewhere else
+      shippingAddress: random.chance(0.85) ? user.address : address(random),
+      statusHistory,
+      createdAt,
+      updatedAt: statusHistory[statusHistory.length - 1].at
+    };
+  }
+
+  // How far an order got depends on its age; a few get cancelled before they ship
+  lifecycle(random, createdAt) {
+    const ageDays = (this.end - createdAt.getTime()) / DAY_MS;
+    const path = ['pending', 'processing', 'shipped', 'delivered'];
+    const cancelled = random.chance(CANCELLED_SHARE);
+    let reached;
+    if (cancelled) {
+      reached = random.int(0, 1);
+    } else if (ageDays < 1) {
+      reached = random.weighted([[0, 60], [1, 40]]);
+    } else if (ageDays < 3) {
+      reached = random.weighted([[1, 50], [2, 50]]);
+    } else if (ageDays < 10) {
+      reached = random.weighted([[2, 40], [3, 60]]);
+    } else {
+      reached = random.weighted([[2, 3], [3, 97]]);
+    }
+
+    const statusHistory = [{ from: null, to: 'pending', at: createdAt, requestId: null, reason: null }];
+    let at = createdAt.getTime();
+    const step = stepMs => {
+      at = Math.min(this.end - 1, at + stepMs);
+      return new Date(at);
+    };
+    for (let i = 1; i <= reached; i++) {
+      statusHistory.push({ from: path[i - 1], to: path[i], at: step(random.int(1, 36) * 60 * 60 * 1000), requestId: null, reason: null });
+    }
+    if (cancelled) {
+      statusHistory.push({
+        from: path[reached],
+        to: 'cancelled',
+        at: step(random.int(5, 600) * 60 * 1000),
+        requestId: null,
+        reason: random.pick(['changed my mind', 'found it cheaper', 'ordered by mistake', 'delivery too slow'])
+      });
+    }
+    return { status: statusHistory[statusHistory.length - 1].to, statusHistory };
+  }
+}
+
+module.exports = {
+  GENERATOR_VERSION,
+  Dataset
+};
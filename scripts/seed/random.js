@@ -0,0 +1,139 @@
+// Seeded randomness for the data seeder. Every document gets its own generator, seeded from
+// the dataset seed and the document's index, so document N is the same whichever run (or
+// batch) produces it and no run has to replay the ones before it.
+
+// cyrb128: string -> four 32-bit seeds
+function hashSeed(text) {
+  let h1 = 1779033703;
+  let h2 = 3144134277;
+  let h3 = 1013904242;
+  let h4 = 2773480762;
+  for (let i = 0; i < text.length; i++) {
+    const k = text.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= h2 ^ h3 ^ h4;
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
+  return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+// sfc32 generator over the hashed seed
+class Random {
+  constructor(seed) {
+    [this.a, this.b, this.c, this.d] = hashSeed(seed);
+    // The first outputs still carry the hash's structure
+    for (let i = 0; i < 12; i++) {
+      this.next();
+    }
+  }
+
+  // [0, 1)
+  next() {
+    this.a >>>= 0; this.b >>>= 0; this.c >>>= 0; this.d >>>= 0;
+    let t = (this.a + this.b) | 0;
+    this.a = this.b ^ (this.b >>> 9);
+    this.b = (this.c + (this.c << 3)) | 0;
+    this.c = (this.c << 21) | (this.c >>> 11);
+    this.d = (this.d + 1) | 0;
+    t = (t + this.d) | 0;
+    this.c = (this.c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  }
+
+  // Integer in [min, max]
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  pick(values) {
+    return values[Math.floor(this.next() * values.length)];
+  }
+
+  // weights: [[value, weight], ...]
+  weighted(weights) {
+    const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = this.next() * total;
+    for (const [value, weight] of weights) {
+      if ((roll -= weight) < 0) {
+        return value;
+      }
+    }
+    return weights[weights.length - 1][0];
+  }
+
+  // Standard normal (Box-Muller)
+  normal() {
+    const u = 1 - this.next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.next());
+  }
+
+  // Up to count distinct values
+  sample(values, count) {
+    const pool = values.slice();
+    const picked = [];
+    while (picked.length < count && pool.length) {
+      picked.push(pool.splice(Math.floor(this.next() * pool.length), 1)[0]);
+    }
+    return picked;
+  }
+}
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : a;
+}
+
+// Zipf(s) over n items: rank k is drawn with probability proportional to 1 / k^s.
+// Unless scatter is off, ranks are spread over the indexes, so the most popular items
+// aren't simply the oldest.
+class Zipf {
+  constructor(n, exponent, { scatter = true } = {}) {
+    this.n = n;
+    this.cdf = new Float64Array(n);
+    let total = 0;
+    for (let k = 0; k < n; k++) {
+      total += 1 / Math.pow(k + 1, exponent);
+      this.cdf[k] = total;
+    }
+    for (let k = 0; k < n; k++) {
+      this.cdf[k] /= total;
+    }
+    this.stride = scatter ? Math.max(1, Math.floor(n * 0.618)) : 1;
+    while (gcd(this.stride, n) !== 1) {
+      this.stride++;
+    }
+  }
+
+  // Index in [0, n)
+  sample(random) {
+    const roll = random.next();
+    let low = 0;
+    let high = this.n - 1;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.cdf[mid] < roll) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return (low * this.stride) % this.n;
+  }
+}
+
+module.exports = {
+  Random,
+  Zipf
+};
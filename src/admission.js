@@ -0,0 +1,195 @@
+// Admission control: shed requests with 503 + Retry-After before an overloaded process tips over.
+// Signals: in-flight concurrency, event loop lag and the MongoDB connection pool wait queue.
+// fixed: static limits. aimd / gradient: the concurrency limit adapts to observed latency.
+const config = require('./config/admission');
+const { onLagSample } = require('./monitoring/runtime');
+const { matchesPathRule } = require('./routeTemplate');
+const { ServiceUnavailableError } = require('./errors');
+const {
+  admissionDecisions,
+  admissionConcurrencyLimit,
+  admissionInFlight,
+  mongoPoolWaitQueue,
+  mongoPoolInUse
+} = require('./metrics');
+const { logger } = require('./logger');
+
+const MODES = ['off', 'fixed', 'aimd', 'gradient'];
+const MODE = MODES.includes(config.mode) ? config.mode : 'off';
+const ADJUST_INTERVAL_MS = 500;
+const LAG_SMOOTHING = 0.2;
+
+let limit = config.maxConcurrency;
+let inFlight = 0;
+let lagMs = 0;
+const mongoPool = { waiting: 0, inUse: 0 };
+
+// Latency samples collected between two limit adjustments
+let currentWindow = newWindow();
+let minLatencyMs = Infinity;
+
+function newWindow() {
+  return { count: 0, totalMs: 0, slow: 0, peakInFlight: inFlight };
+}
+
+function priorityOf(req) {
+  const rule = config.routePriorities.find(r => matchesPathRule(r, req));
+  return rule ? rule.priority : 'normal';
+}
+
+function isExempt(req) {
+  return config.exemptPaths.some(path => matchesPathRule({ path }, req));
+}
+
+// Returns the shed reason, or null to admit. Lower priorities get a smaller share of every limit.
+function shedReason(priority) {
+  const share = config.priorityShare[priority] || config.priorityShare.normal;
+  if (lagMs > config.maxEventLoopLagMs * share) {
+    return 'event_loop_lag';
+  }
+  if (mongoPool.waiting > config.maxMongoWaitQueue * share) {
+    return 'mongo_pool';
+  }
+  if (inFlight >= Math.max(1, Math.floor(limit * share))) {
+    return 'concurrency';
+  }
+  return null;
+}
+
+function retryAfterSeconds(reason) {
+  if (reason === 'event_loop_lag') {
+    return Math.max(1, Math.ceil(lagMs / 1000));
+  }
+  return reason === 'mongo_pool' ? 2 : 1;
+}
+
+function admissionMiddleware(req, res, next) {
+  if (MODE === 'off' || isExempt(req)) {
+    return next();
+  }
+
+  const priority = priorityOf(req);
+  const reason = shedReason(priority);
+  if (reason) {
+    admissionDecisions.labels('shed', priority, reason).inc();
+    res.set('Retry-After', String(retryAfterSeconds(reason)));
+    return next(new ServiceUnavailableError('Server overloaded, retry later', { reason }));
+  }
+
+  admissionDecisions.labels('admitted', priority, 'none').inc();
+  inFlight++;
+  currentWindow.peakInFlight = Math.max(currentWindow.peakInFlight, inFlight);
+  admissionInFlight.set(inFlight);
+
+  const start = process.hrtime.bigint();
+  res.once('close', () => {
+    inFlight--;
+    admissionInFlight.set(inFlight);
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    currentWindow.count++;
+    currentWindow.totalMs += durationMs;
+    if (durationMs > config.targetLatencyMs) {
+      currentWindow.slow++;
+    }
+  });
+  next();
+}
+
+function setLimit(value) {
+  limit = Math.min(config.maxConcurrency, Math.max(config.minConcurrency, value));
+  admissionConcurrencyLimit.set(Math.floor(limit));
+}
+
+// AIMD: back off multiplicatively on slow requests or lag, probe upward by one while the limit is in use
+function adjustAimd(sample) {
+  if (sample.slow > 0 || lagMs > config.maxEventLoopLagMs) {
+    setLimit(limit * 0.9);
+  } else if (sample.peakInFlight >= limit * 0.8) {
+    setLimit(limit + 1);
+  }
+}
+
+// Gradient: scale the limit by how far latency has drifted from the best seen, plus sqrt(limit) of queueing headroom
+function adjustGradient(sample) {
+  const averageMs = sample.totalMs / sample.count;
+  minLatencyMs = Math.min(minLatencyMs, averageMs);
+  let gradient = Math.min(1, Math.max(0.5, (minLatencyMs * 2) / averageMs));
+  if (lagMs > config.maxEventLoopLagMs) {
+    gradient = 0.5;
+  }
+  const target = limit * gradient + Math.sqrt(limit);
+  setLimit(limit * 0.8 + target * 0.2);
+}
+
+function adjustLimit() {
+  const sample = currentWindow;
+  currentWindow = newWindow();
+  if (!sample.count) {
+    return;
+  }
+  if (MODE === 'aimd') {
+    adjustAimd(sample);
+  } else {
+    adjustGradient(sample);
+  }
+}
+
+// CMAP events: how many operations are queued for, and holding, a pool connection
+function watchMongoPool(client) {
+  const report = () => {
+    mongoPoolWaitQueue.set(mongoPool.waiting);
+    mongoPoolInUse.set(mongoPool.inUse);
+  };
+  client.on('connectionCheckOutStarted', () => {
+    mongoPool.waiting++;
+    report();
+  });
+  client.on('connectionCheckOutFailed', () => {
+    mongoPool.waiting--;
+    report();
+  });
+  client.on('connectionCheckedOut', () => {
+    mongoPool.waiting--;
+    mongoPool.inUse++;
+    report();
+  });
+  client.on('connectionCheckedIn', () => {
+    mongoPool.inUse--;
+    report();
+  });
+}
+
+// mongoClient: the driver client behind mongoose, for pool pressure
+function startAdmissionControl({ mongoClient } = {}) {
+  if (MODE === 'off') {
+    return;
+  }
+  setLimit(limit);
+  onLagSample(sample => {
+    lagMs = lagMs * (1 - LAG_SMOOTHING) + sample * LAG_SMOOTHING;
+  });
+  if (mongoClient) {
+    watchMongoPool(mongoClient);
+  }
+  if (MODE === 'aimd' || MODE === 'gradient') {
+    setInterval(adjustLimit, ADJUST_INTERVAL_MS).unref();
+  }
+  logger.info(`${MODE} mode, concurrency limit ${Math.floor(limit)}`, { component: 'admission', mode: MODE, limit: Math.floor(limit) });
+}
+
+function getAdmissionState() {
+  return {
+    mode: MODE,
+    limit: Math.floor(limit),
+    inFlight,
+    eventLoopLagMs: Math.round(lagMs * 10) / 10,
+    mongoPool: { ...mongoPool }
+  };
+}
+
+module.exports = {
+  MODES,
+  admissionMiddleware,
+  startAdmissionControl,
+  getAdmissionState
+};
@@ -1,92 +1,216 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const Redis = require('ioredis');
+const { tracingMiddleware } = require('./tracing/tracer');
+const { mongooseTracingPlugin, instrumentRedis } = require('./tracing/instrument');
 const compression = require('compression');
-const morgan = require('morgan');
-const { register, collectDefaultMetrics, httpDuration, httpRequestCounter } = require('./metrics');
+const {
+  register,
+  collectDefaultMetrics,
+  httpDuration,
+  httpDurationByProfile,
+  httpRequestCounter,
+  activeConnections
+} = require('./metrics');
+const routeMetrics = require('./config/routeMetrics');
+const mongoConfig = require('./config/mongo');
+const { routeTemplate } = require('./routeTemplate');
+const { recordRequest, getSloReport } = require('./slo');
+const { requestContextMiddleware } = require('./requestContext');
+const { logger, requestLogMiddleware, flushLogs } = require('./logger');
+const { startRuntimeMonitoring } = require('./monitoring/runtime');
+const { startAutoCapture } = require('./monitoring/profiler');
+const { injectionMiddleware } = require('./bottlenecks/injector');
+const { perfModeMiddleware } = require('./perfMode');
+const { rateLimitMiddleware } = require('./rateLimit');
+const { recordingMiddleware } = require('./recording');
+const { admissionMiddleware, startAdmissionControl, getAdmissionState } = require('./admission');
+const { initCache } = require('./cache');
+const { NotFoundError, errorHandler } = require('./errors');
+const { isClusterWorker, setupClusterWorker, requestFromPrimary } = require('./clusterIpc');
+const { getDatasetInfo } = require('./models/dataset');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Trace every query; must be registered before src/models compiles the models (the routes load them)
+mongoose.plugin(mongooseTracingPlugin);
+
 // Redis connection
-const redis = new Redis({
+const redis = instrumentRedis(new Redis({
   host: process.env.REDIS_HOST || 'localhost',
   port: 6379,
   retryStrategy: (times) => Math.min(times * 50, 2000)
-});
+}));
+redis.on('error', error => logger.warn('Redis connection error', { component: 'redis', err: error }));
+
+// Evict in-process cache entries when any instance invalidates
+initCache(redis);
 
-// MongoDB connection
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/perflab', {
+// MongoDB connection (see src/config/mongo.js)
+mongoose.connect(mongoConfig.uri, {
   maxPoolSize: 10,
   minPoolSize: 2,
   serverSelectionTimeoutMS: 5000
 });
 
 // Middleware
+app.use(requestContextMiddleware);
+// One structured line per request, tagged with its X-Request-Id (LOG_MODE=async|sync|off)
+app.use(requestLogMiddleware);
+app.use(tracingMiddleware);
 app.use(compression());
 app.use(express.json({ limit: '10mb' }));
-app.use(morgan('combined'));
 
-// Prometheus metrics middleware
+// Sampled request recording for stress-test/replay.js (RECORDING=on)
+app.use(recordingMiddleware);
+
+// Naive vs optimized code paths, selected per request
+app.use(perfModeMiddleware);
+
+// Prometheus metrics middleware, labelled by route template
 app.use((req, res, next) => {
-  const start = Date.now();
-  const originalPath = req.path;
+  // hrtime: the fast bucket profile resolves below a millisecond
+  const start = process.hrtime.bigint();
+  activeConnections.inc();
+  res.once('close', () => activeConnections.dec());
   res.on('finish', () => {
-    const duration = Date.now() - start;
-    console.log(`${req.method} ${originalPath} ${res.statusCode} - ${duration}ms`);
+    const duration = Number(process.hrtime.bigint() - start) / 1e6;
+    const route = routeTemplate(req);
+    const labels = [req.method, route, res.statusCode.toString(), req.perfMode];
     httpDuration
-      .labels(req.method, originalPath, res.statusCode.toString())
+      .labels(...labels)
       .observe(duration / 1000);
     
+    const routeConfig = routeMetrics.routes[`${req.method} ${route}`];
+    if (routeConfig && httpDurationByProfile[routeConfig.buckets]) {
+      httpDurationByProfile[routeConfig.buckets]
+        .labels(...labels)
+        .observe(duration / 1000);
+    }
+    
     httpRequestCounter
-      .labels(req.method, originalPath, res.statusCode.toString())
+      .labels(...labels)
       .inc();
+    
+    recordRequest(`${req.method} ${route}`, duration, res.statusCode);
   });
   
   next();
 });
 
+// Shed load with 503 + Retry-After under overload (ADMISSION_CONTROL=fixed|aimd|gradient)
+app.use(admissionMiddleware);
+
 // Make Redis available in req
 app.use((req, res, next) => {
   req.redis = redis;
   next();
 });
 
+// Per-client, per-route limits shared across instances through Redis (RATE_LIMIT=on)
+app.use(rateLimitMiddleware);
+
+// Scenarios attached to routes through /api/scenarios/injections
+app.use(injectionMiddleware);
+
 // Routes
+app.use('/api/scenarios', require('./routes/scenarios'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/products', require('./routes/products'));
 app.use('/api/orders', require('./routes/orders'));
+app.use('/api/analytics', require('./routes/analytics'));
+
+// CPU profiles, heap snapshots and trace waterfalls (requires DEBUG_TOKEN)
+app.use('/debug', require('./routes/debug'));
 
-// Metrics endpoint
+// Metrics endpoint (aggregated across workers in cluster mode)
 app.get('/metrics', async (req, res) => {
-  res.set('Content-Type', register.contentType);
-  res.end(await register.metrics());
+  try {
+    const metrics = isClusterWorker() ? await requestFromPrimary('metrics') : await register.metrics();
+    res.set('Content-Type', register.contentType);
+    res.end(metrics);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 app.get('/', (req, res) => {
   res.send('Welcome to the Node.js Performance Lab API. Visit /metrics for Prometheus metrics.');
 });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
+// Rolling SLO compliance and remaining error budget per route
+app.get('/slo', (req, res) => {
+  res.json(getSloReport());
+});
+
+// Health check (every worker's pid, uptime and memory in cluster mode)
+app.get('/health', async (req, res) => {
+  const health = { 
     status: 'healthy',
     uptime: process.uptime(),
     memory: process.memoryUsage(),
-    pid: process.pid
-  });
+    pid: process.pid,
+    admission: getAdmissionState()
+  };
+
+  // Which seeded dataset (scripts/seed.js) this instance serves; load test results record it
+  try {
+    health.dataset = await getDatasetInfo();
+  } catch (error) {
+    health.dataset = null;
+  }
+  
+  if (isClusterWorker()) {
+    try {
+      Object.assign(health, await requestFromPrimary('health'));
+    } catch (error) {
+      health.clusterError = error.message;
+    }
+  }
+  res.json(health);
 });
 
 // Start collecting default metrics
 collectDefaultMetrics({ register });
 
-// Error handling
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Internal server error' });
+// Event loop lag, GC pauses and the blocked-loop watchdog
+startRuntimeMonitoring();
+
+// Concurrency, lag and Mongo pool limits for admissionMiddleware
+startAdmissionControl({ mongoClient: mongoose.connection.getClient() });
+
+// Capture a profile or snapshot automatically when AUTO_CAPTURE_* thresholds are set
+startAutoCapture();
+
+// Anything unmatched is a 404; every error leaves through one envelope
+app.use((req, res, next) => next(new NotFoundError(`Cannot ${req.method} ${req.path}`)));
+app.use(errorHandler);
+
+const server = app.listen(PORT, () => {
+  logger.info(`Server running on port ${PORT}${isClusterWorker() ? ` (worker ${process.env.WORKER_SLOT})` : ''}`, { port: Number(PORT) });
+  logger.info(`Metrics available at http://localhost:${PORT}/metrics`);
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Metrics available at http://localhost:${PORT}/metrics`);
-});
\ No newline at end of file
+// Stop accepting connections, let in-flight requests finish, then close Mongo and Redis and flush logs
+let shuttingDown = false;
+function shutdown() {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  setTimeout(() => process.exit(1), 10000).unref();
+  server.close(async () => {
+    await mongoose.disconnect().catch(() => {});
+    redis.disconnect();
+    await flushLogs();
+    process.exit(0);
+  });
+  server.closeIdleConnections();
+}
+
+process.on('SIGTERM', shutdown);
+
+if (isClusterWorker()) {
+  setupClusterWorker(register, { onShutdown: shutdown });
+}
\ No newline at end of file
@@ -0,0 +1,99 @@
+// Attach bottleneck scenarios to live routes, either probabilistically or for a time window
+const { v4: uuidv4 } = require('uuid');
+const { createBottleneck, resolveParams } = require('./scenarios');
+
+const injections = new Map();
+
+// Never inject into the control plane, otherwise a bad injection can't be removed
+const EXEMPT_PATHS = ['/api/scenarios', '/debug', '/metrics', '/slo', '/health'];
+
+function addInjection({ scenario, params = {}, route = '*', method = '*', probability = 1, windowSeconds }) {
+  const resolved = resolveParams(scenario, params);
+
+  const p = Number(probability);
+  if (!Number.isFinite(p) || p <= 0 || p > 1) {
+    throw new Error('probability must be a number in (0, 1]');
+  }
+
+  let expiresAt = null;
+  if (windowSeconds !== undefined && windowSeconds !== null) {
+    const seconds = Number(windowSeconds);
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      throw new Error('windowSeconds must be a positive number');
+    }
+    expiresAt = Date.now() + seconds * 1000;
+  }
+
+  const injection = {
+    id: uuidv4(),
+    scenario,
+    params: resolved,
+    route,
+    method: method.toUpperCase(),
+    probability: p,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    activations: 0
+  };
+  injections.set(injection.id, injection);
+  return injection;
+}
+
+function removeInjection(id) {
+  return injections.delete(id);
+}
+
+function pruneExpired() {
+  const now = Date.now();
+  for (const [id, injection] of injections) {
+    if (injection.expiresAt && Date.parse(injection.expiresAt) <= now) {
+      injections.delete(id);
+    }
+  }
+}
+
+function listInjections() {
+  pruneExpired();
+  return Array.from(injections.values());
+}
+
+// route is a path prefix ("/api/orders" matches "/api/orders/123"), or "*" for every route
+function matches(injection, req) {
+  if (EXEMPT_PATHS.some(path => req.path.startsWith(path))) {
+    return false;
+  }
+  if (injection.method !== '*' && injection.method !== req.method) {
+    return false;
+  }
+  if (injection.route === '*') {
+    return true;
+  }
+  return req.path === injection.route || req.path.startsWith(injection.route.replace(/\/$/, '') + '/');
+}
+
+// Express middleware: runs every matching injection before the request reaches its route
+async function injectionMiddleware(req, res, next) {
+  if (injections.size === 0) {
+    return next();
+  }
+
+  pruneExpired();
+  try {
+    for (const injection of injections.values()) {
+      if (matches(injection, req) && Math.random() < injection.probability) {
+        injection.activations++;
+        await createBottleneck(injection.scenario, injection.params, 'injection');
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  addInjection,
+  removeInjection,
+  listInjections,
+  injectionMiddleware
+};
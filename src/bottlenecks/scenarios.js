@@ -1,13 +1,20 @@
 // Deliberate bottlenecks for learning purposes
-const crypto = require('crypto');
+const { runCpuTask, TASK_TIMEOUT_MS } = require('../workers/pool');
+const { scenarioActivations, scenarioDuration } = require('../metrics');
+const { withSpan } = require('../tracing/tracer');
+const { ValidationError } = require('../errors');
+const mongoConfig = require('../config/mongo');
+
+// A task told to run for duration ms (up to a minute) gets that long on top of the pool's usual
+// timeout, which would otherwise cut the longer scenarios short with a 503
+function runTimedTask(task, duration) {
+  return runCpuTask(task, { duration }, { timeoutMs: duration + TASK_TIMEOUT_MS });
+}
 
 const scenarios = {
-  // CPU intensive operation
+  // CPU intensive operation (inline or in the worker pool, see CPU_OFFLOAD)
   cpuIntensive: async (duration = 1000) => {
-    const start = Date.now();
-    while (Date.now() - start < duration) {
-      crypto.pbkdf2Sync('secret', 'salt', 100000, 64, 'sha512');
-    }
+    await runTimedTask('cpuIntensive', duration);
   },
 
   // Memory intensive operation
@@ -18,13 +25,9 @@ const scenarios = {
     return bigArray.length;
   },
 
-  // Event loop blocking
+  // Event loop blocking (inline or in the worker pool, see CPU_OFFLOAD)
   blockEventLoop: async (duration = 500) => {
-    const start = Date.now();
-    while (Date.now() - start < duration) {
-      // Tight loop blocking event loop
-      Math.sqrt(Math.random());
-    }
+    await runTimedTask('blockEventLoop', duration);
   },
 
   // Slow I/O operation
@@ -36,16 +39,100 @@ const scenarios = {
   dbConnectionLeak: async () => {
     const mongoose = require('mongoose');
     // Create new connection without closing (leak)
-    await mongoose.createConnection(process.env.MONGODB_URI || 'mongodb://localhost:27017/perflab');
+    await mongoose.createConnection(mongoConfig.uri);
     // Deliberately not closing connection
   }
 };
 
-module.exports = {
-  createBottleneck: async (scenario) => {
-    if (scenarios[scenario]) {
-      await scenarios[scenario]();
+// Parameters accepted by each scenario, in the order the scenario function takes them
+const scenarioParams = {
+  cpuIntensive: [
+    { name: 'duration', unit: 'ms', default: 1000, min: 0, max: 60000 }
+  ],
+  memoryIntensive: [
+    { name: 'sizeMB', unit: 'MB', default: 50, min: 1, max: 2048 }
+  ],
+  blockEventLoop: [
+    { name: 'duration', unit: 'ms', default: 500, min: 0, max: 60000 }
+  ],
+  slowIO: [
+    { name: 'delay', unit: 'ms', default: 2000, min: 0, max: 120000 }
+  ],
+  dbConnectionLeak: []
+};
+
+function hasScenario(name) {
+  return Object.prototype.hasOwnProperty.call(scenarios, name);
+}
+
+function invalid(message, field) {
+  return new ValidationError(message, [{ location: 'body', field, message }]);
+}
+
+// Turn a { name: value } object into positional arguments, applying defaults and bounds.
+// Bad input is a ValidationError; field names where the parameters came from in the body.
+function resolveParams(scenario, params = {}, field = 'params') {
+  if (!hasScenario(scenario)) {
+    throw invalid(`Unknown scenario: ${scenario}`, 'scenario');
+  }
+
+  const definitions = scenarioParams[scenario];
+  const known = new Set(definitions.map(def => def.name));
+  for (const name of Object.keys(params)) {
+    if (!known.has(name)) {
+      throw invalid(`Unknown parameter "${name}" for scenario ${scenario}`, `${field}.${name}`);
     }
-  },
-  scenarios
-};
\ No newline at end of file
+  }
+
+  const resolved = {};
+  for (const def of definitions) {
+    if (params[def.name] === undefined || params[def.name] === null || params[def.name] === '') {
+      resolved[def.name] = def.default;
+      continue;
+    }
+    const value = Number(params[def.name]);
+    if (!Number.isFinite(value) || value < def.min || value > def.max) {
+      throw invalid(`Parameter "${def.name}" must be a number between ${def.min} and ${def.max}`, `${field}.${def.name}`);
+    }
+    resolved[def.name] = value;
+  }
+  return resolved;
+}
+
+function listScenarios() {
+  return Object.keys(scenarios).map(name => ({
+    name,
+    params: scenarioParams[name] || []
+  }));
+}
+
+// source: where the activation came from (body, api, injection) so dashboards can tell them apart
+async function createBottleneck(scenario, params = {}, source = 'body') {
+  if (!hasScenario(scenario)) {
+    return;
+  }
+
+  // Activations from a request body (users, orders) carry their parameters in scenarioParams
+  const resolved = resolveParams(scenario, params, source === 'body' ? 'scenarioParams' : 'params');
+  const args = scenarioParams[scenario].map(def => resolved[def.name]);
+
+  scenarioActivations.labels(scenario, source).inc();
+  const endTimer = scenarioDuration.labels(scenario, source).startTimer();
+  const attributes = { 'scenario.name': scenario, 'scenario.source': source, 'scenario.params': resolved };
+  try {
+    await withSpan(`scenario ${scenario}`, { attributes }, () => scenarios[scenario](...args));
+  } finally {
+    endTimer();
+  }
+  return resolved;
+}
+
+module.exports = {
+  SCENARIO_NAMES: Object.keys(scenarios),
+  createBottleneck,
+  hasScenario,
+  resolveParams,
+  listScenarios,
+  scenarios,
+  scenarioParams
+};
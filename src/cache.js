@@ -0,0 +1,296 @@
+// Shared cache layer used by every route: Redis (L2), optionally fronted by an in-process LRU (L1)
+const crypto = require('crypto');
+const LruCache = require('./lruCache');
+const {
+  cacheHitRate,
+  l1CacheOperations,
+  l1CacheEvictions,
+  l1CacheBytes,
+  l1CacheEntries
+} = require('./metrics');
+const { logger } = require('./logger');
+const { MODES } = require('./perfMode');
+
+const DEFAULT_JITTER = 0.1;
+const INVALIDATION_CHANNEL = 'cache:invalidate';
+const INSTANCE_ID = crypto.randomBytes(8).toString('hex');
+
+// L1 is on for these namespaces unless a request asks otherwise (X-Cache-Tier: l1 | redis)
+const L1_NAMESPACES = new Set((process.env.CACHE_L1_NAMESPACES || 'product').split(',').filter(Boolean));
+const L1_TTL_MS = (parseFloat(process.env.CACHE_L1_TTL_SECONDS) || 30) * 1000;
+
+const l1 = new LruCache({
+  maxEntries: parseInt(process.env.CACHE_L1_MAX_ENTRIES) || 5000,
+  maxBytes: (parseFloat(process.env.CACHE_L1_MAX_MB) || 64) * 1024 * 1024,
+  onEvict: reason => l1CacheEvictions.labels(reason).inc()
+});
+
+// In-process single-flight: concurrent misses for one key share a single load.
+// fullKey -> { promise, tags }
+const inflight = new Map();
+
+// Recent invalidations (local and from other instances), so a load or read that started before
+// one doesn't store what it got afterwards. Past the log's reach, everything counts as invalidated.
+const INVALIDATION_LOG_SIZE = 1000;
+const recentInvalidations = [];
+let invalidationSeq = 0;
+
+function entryKey(namespace, key) {
+  return `cache:${namespace}:${key}`;
+}
+
+function tagKey(tag) {
+  return `cache:tag:${tag}`;
+}
+
+// Spread expiries so keys written together don't all expire together
+function jitteredTtl(ttl, jitter) {
+  return Math.max(1, Math.round(ttl * (1 + Math.random() * jitter)));
+}
+
+function reportL1Size() {
+  l1CacheBytes.set(l1.bytes);
+  l1CacheEntries.set(l1.size);
+}
+
+// L1 entries live no longer than the L1 TTL nor past the point the Redis entry goes stale
+function storeInL1(fullKey, value, { tags, bytes, freshUntil }) {
+  l1.set(fullKey, value, { ttlMs: Math.min(L1_TTL_MS, freshUntil - Date.now()), bytes, tags });
+  reportL1Size();
+}
+
+// Whether a request should use the L1 tier for a namespace
+function useL1(req, namespace) {
+  const tier = String(req.get('X-Cache-Tier') || req.query.cacheTier || '').toLowerCase();
+  if (tier === 'l1') {
+    return true;
+  }
+  if (tier === 'redis') {
+    return false;
+  }
+  return L1_NAMESPACES.has(namespace);
+}
+
+function versionsMatch(stored, current) {
+  return Object.keys(current).every(tag => stored[tag] === current[tag]);
+}
+
+// Whether an invalidation message covers an entry. message: { keys, tags, prefix }
+function covers({ keys = [], tags = [], prefix = null }, fullKey, entryTags) {
+  return keys.includes(fullKey) || Boolean(prefix && fullKey.startsWith(prefix)) || entryTags.some(tag => tags.includes(tag));
+}
+
+function invalidatedSince(seq, fullKey, entryTags) {
+  if (recentInvalidations.length && recentInvalidations[0].seq > seq + 1) {
+    return true;
+  }
+  return recentInvalidations.some(entry => entry.seq > seq && covers(entry.message, fullKey, entryTags));
+}
+
+function load(redis, fullKey, versions, options, loader) {
+  if (inflight.has(fullKey)) {
+    return inflight.get(fullKey).promise;
+  }
+
+  const tags = Object.keys(versions);
+  const seq = invalidationSeq;
+  const promise = (async () => {
+    const value = await loader();
+    // null/undefined (e.g. not found) is never cached, nor is what was loaded before an invalidation
+    if (value !== null && value !== undefined && !invalidatedSince(seq, fullKey, tags)) {
+      const ttl = jitteredTtl(options.ttl, options.jitter === undefined ? DEFAULT_JITTER : options.jitter);
+      const entry = { v: versions, f: Date.now() + ttl * 1000, d: value };
+      const raw = JSON.stringify(entry);
+      await redis.set(fullKey, raw, 'EX', ttl + (options.staleWhileRevalidate || 0));
+      // Checked again: an invalidation may have landed while Redis was being written
+      if (options.l1 && !invalidatedSince(seq, fullKey, tags)) {
+        storeInL1(fullKey, value, { tags, bytes: raw.length, freshUntil: entry.f });
+      }
+    }
+    return value;
+  })();
+
+  const flight = { promise, tags };
+  inflight.set(fullKey, flight);
+  // An invalidation may already have dropped (and replaced) this flight
+  const done = () => {
+    if (inflight.get(fullKey) === flight) {
+      inflight.delete(fullKey);
+    }
+  };
+  promise.then(done, done);
+  return promise;
+}
+
+// Read-through cache.
+// options: namespace, key, ttl (seconds), tags (default [namespace]),
+// staleWhileRevalidate (seconds an expired entry may still be served while it refreshes), jitter,
+// l1 (also keep the parsed value in process; see useL1)
+async function cached(redis, options, loader) {
+  const { namespace, key, tags = [namespace], staleWhileRevalidate = 0 } = options;
+  const fullKey = entryKey(namespace, key);
+
+  // L1 hits skip the tag version check: pub/sub evicts them, nothing loaded or read before an
+  // invalidation is stored after it, and the L1 TTL bounds staleness if a message is missed
+  if (options.l1) {
+    const value = l1.get(fullKey);
+    l1CacheOperations.labels(namespace, value === undefined ? 'miss' : 'hit').inc();
+    if (value !== undefined) {
+      return value;
+    }
+    reportL1Size();
+  }
+
+  // One round-trip for the entry and the current version of each of its tags
+  const seq = invalidationSeq;
+  const [raw, ...tagVersions] = await redis.mget(fullKey, ...tags.map(tagKey));
+  const versions = {};
+  tags.forEach((tag, i) => { versions[tag] = tagVersions[i] || '0'; });
+
+  if (raw) {
+    const entry = JSON.parse(raw);
+    // A bumped tag version means the entry was invalidated: never serve it, not even stale
+    if (versionsMatch(entry.v, versions)) {
+      if (Date.now() < entry.f) {
+        cacheHitRate.labels('get', 'hit', namespace).inc();
+        if (options.l1 && !invalidatedSince(seq, fullKey, tags)) {
+          storeInL1(fullKey, entry.d, { tags, bytes: raw.length, freshUntil: entry.f });
+        }
+        return entry.d;
+      }
+      if (staleWhileRevalidate) {
+        cacheHitRate.labels('get', 'stale', namespace).inc();
+        load(redis, fullKey, versions, options, loader).catch(error => {
+          logger.error(`Background refresh of ${fullKey} failed`, { component: 'cache', key: fullKey, err: error });
+        });
+        return entry.d;
+      }
+    }
+  }
+
+  cacheHitRate.labels('get', inflight.has(fullKey) ? 'coalesced' : 'miss', namespace).inc();
+  return load(redis, fullKey, versions, options, loader);
+}
+
+// Evict matching L1 entries and remember the invalidation; matching loads still in flight are
+// dropped, so later callers start a fresh load instead of joining a stale one.
+// message: { keys, tags, prefix }
+function evictFromL1(message) {
+  const { keys = [], tags = [], prefix = null } = message;
+  keys.forEach(key => l1.remove(key));
+  if (tags.length || prefix) {
+    l1.removeWhere((key, entry) => (prefix && key.startsWith(prefix)) || entry.tags.some(tag => tags.includes(tag)));
+  }
+  reportL1Size();
+
+  recentInvalidations.push({ seq: ++invalidationSeq, message: { keys, tags, prefix } });
+  if (recentInvalidations.length > INVALIDATION_LOG_SIZE) {
+    recentInvalidations.shift();
+  }
+  inflight.forEach((flight, fullKey) => {
+    if (covers(message, fullKey, flight.tags)) {
+      inflight.delete(fullKey);
+    }
+  });
+}
+
+// Evict locally right away, and tell the other instances to do the same
+async function broadcastInvalidation(redis, message) {
+  evictFromL1(message);
+  await redis.publish(INVALIDATION_CHANNEL, JSON.stringify({ ...message, from: INSTANCE_ID }));
+}
+
+// Invalidate every entry carrying one of the tags in O(1): bump the tag versions
+async function invalidateTags(redis, tags) {
+  const pipeline = redis.pipeline();
+  tags.forEach(tag => pipeline.incr(tagKey(tag)));
+  await pipeline.exec();
+  await broadcastInvalidation(redis, { tags });
+  // Label by tag family ("user:42" -> "user") to keep cardinality bounded
+  tags.forEach(tag => cacheHitRate.labels('invalidate', 'tag', tag.split(':')[0]).inc());
+}
+
+// Drop a single entry
+async function invalidateKey(redis, namespace, key) {
+  await redis.del(entryKey(namespace, key));
+  await broadcastInvalidation(redis, { keys: [entryKey(namespace, key)] });
+  cacheHitRate.labels('invalidate', 'key', namespace).inc();
+}
+
+// Drop one entity's entries under every perf mode; routes key them as `${mode}:${id}`
+async function invalidateEntity(redis, namespace, id) {
+  const keys = MODES.map(mode => entryKey(namespace, `${mode}:${id}`));
+  await redis.del(...keys);
+  await broadcastInvalidation(redis, { keys });
+  cacheHitRate.labels('invalidate', 'key', namespace).inc();
+}
+
+// Delete every key matching a glob pattern.
+// naive: KEYS blocks Redis while it walks the whole keyspace.
+// optimized: SCAN walks it incrementally and UNLINK frees memory off the main thread.
+async function invalidatePattern(redis, pattern, mode = 'naive') {
+  if (mode !== 'optimized') {
+    const keys = await redis.keys(pattern);
+    if (keys.length) {
+      await redis.del(...keys);
+    }
+    return keys.length;
+  }
+
+  let removed = 0;
+  const stream = redis.scanStream({ match: pattern, count: 500 });
+  for await (const keys of stream) {
+    if (keys.length) {
+      removed += await redis.unlink(...keys);
+    }
+  }
+  return removed;
+}
+
+// Invalidate a whole namespace, entries of both perf modes alike (routes keep the mode in the key).
+// naive: the original KEYS sweep, kept for comparison.
+// optimized: bump the namespace tag, which every entry in it carries by default.
+async function invalidateNamespace(redis, namespace, mode = 'naive') {
+  if (mode === 'optimized') {
+    return invalidateTags(redis, [namespace]);
+  }
+  await invalidatePattern(redis, `${entryKey(namespace, '')}*`, 'naive');
+  await broadcastInvalidation(redis, { prefix: entryKey(namespace, '') });
+  cacheHitRate.labels('invalidate', 'keys', namespace).inc();
+}
+
+// Subscribe to invalidations from other instances. A subscribed connection can't run
+// other commands, so this uses a duplicate of the main connection.
+function initCache(redis) {
+  const subscriber = redis.duplicate();
+  subscriber.subscribe(INVALIDATION_CHANNEL).catch(error => {
+    logger.error('Failed to subscribe to invalidations', { component: 'cache', err: error });
+  });
+  subscriber.on('message', (channel, payload) => {
+    if (channel !== INVALIDATION_CHANNEL) {
+      return;
+    }
+    // A malformed message on the shared channel must not take every instance down
+    try {
+      const message = JSON.parse(payload);
+      // Our own invalidations were already applied locally
+      if (message.from !== INSTANCE_ID) {
+        evictFromL1(message);
+      }
+    } catch (error) {
+      logger.warn('Ignoring malformed invalidation message', { component: 'cache', err: error });
+    }
+  });
+  return subscriber;
+}
+
+module.exports = {
+  initCache,
+  useL1,
+  cached,
+  invalidateTags,
+  invalidateKey,
+  invalidateEntity,
+  invalidateNamespace,
+  invalidatePattern
+};
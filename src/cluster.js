@@ -0,0 +1,220 @@
+// Cluster launcher: forks one app worker per slot, restarts crashed workers with backoff,
+// rolls through a restart on SIGUSR2, and serves aggregated metrics/health to the workers.
+const cluster = require('cluster');
+const os = require('os');
+const path = require('path');
+const { AggregatorRegistry } = require('prom-client');
+const { REQUEST, RESPONSE, HEALTH_COLLECT, HEALTH_REPORT, SHUTDOWN } = require('./clusterIpc');
+const { logger } = require('./logger');
+
+const WORKER_COUNT = parseInt(process.env.CLUSTER_WORKERS) || (os.availableParallelism ? os.availableParallelism() : os.cpus().length);
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+const STABLE_AFTER_MS = 60000;
+const SHUTDOWN_TIMEOUT_MS = 15000;
+const STARTUP_TIMEOUT_MS = 30000;
+
+const aggregatorRegistry = new AggregatorRegistry();
+
+// slot -> { worker, restarts, startedAt }
+const slots = new Map();
+let shuttingDown = false;
+let rolling = false;
+
+function log(message) {
+  logger.info(message, { component: 'cluster' });
+}
+
+function spawn(slot) {
+  const worker = cluster.fork({ WORKER_SLOT: String(slot) });
+  worker.slot = slot;
+  return worker;
+}
+
+// Make worker the one the slot is restarted from when it dies
+function assign(slot, worker) {
+  const state = slots.get(slot) || { restarts: 0 };
+  state.worker = worker;
+  state.startedAt = Date.now();
+  slots.set(slot, state);
+  return worker;
+}
+
+function fork(slot) {
+  return assign(slot, spawn(slot));
+}
+
+// Resolves once the worker accepts connections; rejects if it exits or hangs before that
+function waitForListening(worker) {
+  return new Promise((resolve, reject) => {
+    const settle = error => {
+      clearTimeout(timer);
+      worker.removeListener('listening', onListening);
+      worker.removeListener('exit', onExit);
+      return error ? reject(error) : resolve();
+    };
+    const onListening = () => settle();
+    const onExit = (code, signal) => settle(new Error(`worker ${worker.slot} exited before listening (${signal || code})`));
+    const timer = setTimeout(() => settle(new Error(`worker ${worker.slot} not listening after ${STARTUP_TIMEOUT_MS}ms`)), STARTUP_TIMEOUT_MS);
+    worker.once('listening', onListening);
+    worker.once('exit', onExit);
+  });
+}
+
+// A worker that never listened has nothing to drain
+function killWorker(worker) {
+  return new Promise(resolve => {
+    if (worker.isDead()) {
+      return resolve();
+    }
+    worker.intentionalExit = true;
+    worker.once('exit', () => resolve());
+    worker.process.kill('SIGKILL');
+  });
+}
+
+// Ask a worker to drain and exit; kill it if it takes too long
+function stopWorker(worker) {
+  return new Promise(resolve => {
+    if (worker.isDead()) {
+      return resolve();
+    }
+    worker.intentionalExit = true;
+    const timer = setTimeout(() => worker.process.kill('SIGKILL'), SHUTDOWN_TIMEOUT_MS);
+    worker.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    worker.send({ type: SHUTDOWN });
+  });
+}
+
+function onWorkerExit(worker, code, signal) {
+  const state = slots.get(worker.slot);
+  if (shuttingDown || worker.intentionalExit || !state || state.worker !== worker) {
+    return;
+  }
+
+  // A worker that stayed up for a while starts over with the shortest backoff
+  if (Date.now() - state.startedAt > STABLE_AFTER_MS) {
+    state.restarts = 0;
+  }
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** state.restarts, BACKOFF_MAX_MS);
+  state.restarts++;
+  log(`Worker ${worker.slot} (pid ${worker.process.pid}) died (${signal || code}); restarting in ${delay}ms`);
+  setTimeout(() => {
+    // A rolling restart may have put a replacement in the slot meanwhile
+    if (!shuttingDown && state.worker === worker) {
+      fork(worker.slot);
+    }
+  }, delay);
+}
+
+// One slot at a time: start the replacement, wait until it listens, then drain the old worker.
+// The slot only passes to the replacement once it listens: if it dies or hangs on the way up it
+// is killed, the old worker keeps serving and the restart stops there.
+async function rollingRestart() {
+  if (rolling || shuttingDown) {
+    return;
+  }
+  rolling = true;
+  log('Rolling restart started');
+  try {
+    for (const slot of Array.from(slots.keys())) {
+      const old = slots.get(slot).worker;
+      const replacement = spawn(slot);
+      try {
+        await waitForListening(replacement);
+      } catch (error) {
+        await killWorker(replacement);
+        throw error;
+      }
+      if (shuttingDown) {
+        return;
+      }
+      assign(slot, replacement);
+      await stopWorker(old);
+      log(`Worker ${slot} replaced (pid ${replacement.process.pid})`);
+    }
+    log('Rolling restart finished');
+  } catch (error) {
+    log(`Rolling restart aborted: ${error.message}`);
+  } finally {
+    rolling = false;
+  }
+}
+
+function collectHealth() {
+  const workers = Object.values(cluster.workers).filter(worker => worker.isConnected());
+  const requestId = Date.now() + Math.random();
+  const reports = [];
+
+  return new Promise(resolve => {
+    const finish = () => {
+      cluster.removeListener('message', onReport);
+      resolve(reports.sort((a, b) => Number(a.worker) - Number(b.worker)));
+    };
+    const onReport = (worker, message) => {
+      if (message && message.type === HEALTH_REPORT && message.requestId === requestId) {
+        reports.push(message.stats);
+        if (reports.length === workers.length) {
+          clearTimeout(timer);
+          finish();
+        }
+      }
+    };
+    const timer = setTimeout(finish, 1000);
+    cluster.on('message', onReport);
+    workers.forEach(worker => worker.send({ type: HEALTH_COLLECT, requestId }));
+    if (!workers.length) {
+      clearTimeout(timer);
+      finish();
+    }
+  });
+}
+
+async function handleRequest(worker, { kind, requestId }) {
+  try {
+    let payload;
+    if (kind === 'metrics') {
+      payload = await aggregatorRegistry.clusterMetrics();
+    } else if (kind === 'health') {
+      payload = {
+        primary: { pid: process.pid, uptime: process.uptime() },
+        workers: await collectHealth()
+      };
+    } else {
+      throw new Error(`Unknown request "${kind}"`);
+    }
+    worker.send({ type: RESPONSE, requestId, payload });
+  } catch (error) {
+    worker.send({ type: RESPONSE, requestId, error: error.message });
+  }
+}
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  log(`${signal} received, stopping ${Object.keys(cluster.workers).length} workers`);
+  await Promise.all(Object.values(cluster.workers).map(stopWorker));
+  process.exit(0);
+}
+
+cluster.setupPrimary({ exec: path.join(__dirname, 'app.js') });
+cluster.on('exit', onWorkerExit);
+cluster.on('message', (worker, message) => {
+  if (message && message.type === REQUEST) {
+    handleRequest(worker, message);
+  }
+});
+
+process.on('SIGUSR2', rollingRestart);
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+log(`Primary ${process.pid} starting ${WORKER_COUNT} workers (SIGUSR2 for a rolling restart)`);
+for (let slot = 1; slot <= WORKER_COUNT; slot++) {
+  fork(slot);
+}
@@ -0,0 +1,76 @@
+// Worker <-> primary messaging for cluster mode (see src/cluster.js)
+const cluster = require('cluster');
+const { AggregatorRegistry } = require('prom-client');
+
+const REQUEST = 'perf-lab:request';
+const RESPONSE = 'perf-lab:response';
+const HEALTH_COLLECT = 'perf-lab:health-collect';
+const HEALTH_REPORT = 'perf-lab:health-report';
+const SHUTDOWN = 'perf-lab:shutdown';
+
+const pending = new Map();
+let nextRequestId = 1;
+
+function isClusterWorker() {
+  return cluster.isWorker;
+}
+
+function processStats() {
+  return {
+    worker: process.env.WORKER_SLOT,
+    pid: process.pid,
+    uptime: process.uptime(),
+    memory: process.memoryUsage()
+  };
+}
+
+// Call from a worker: label its series, answer metric/health collection, and run onShutdown when asked to stop
+function setupClusterWorker(register, { onShutdown }) {
+  register.setDefaultLabels({ worker: process.env.WORKER_SLOT });
+  // The aggregator's worker-side listener is installed when one is constructed
+  AggregatorRegistry.setRegistries([register]);
+  new AggregatorRegistry();
+
+  process.on('message', message => {
+    if (!message || typeof message.type !== 'string') {
+      return;
+    }
+    if (message.type === RESPONSE && pending.has(message.requestId)) {
+      const { resolve, reject, timer } = pending.get(message.requestId);
+      pending.delete(message.requestId);
+      clearTimeout(timer);
+      return message.error ? reject(new Error(message.error)) : resolve(message.payload);
+    }
+    if (message.type === HEALTH_COLLECT) {
+      return process.send({ type: HEALTH_REPORT, requestId: message.requestId, stats: processStats() });
+    }
+    if (message.type === SHUTDOWN) {
+      onShutdown();
+    }
+  });
+}
+
+// Ask the primary for something only it can see (aggregated metrics, every worker's health)
+function requestFromPrimary(kind, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const requestId = nextRequestId++;
+    const timer = setTimeout(() => {
+      pending.delete(requestId);
+      reject(new Error(`Primary did not answer "${kind}" within ${timeoutMs}ms`));
+    }, timeoutMs);
+    pending.set(requestId, { resolve, reject, timer });
+    process.send({ type: REQUEST, kind, requestId });
+  });
+}
+
+module.exports = {
+  REQUEST,
+  RESPONSE,
+  HEALTH_COLLECT,
+  HEALTH_REPORT,
+  SHUTDOWN,
+  isClusterWorker,
+  processStats,
+  setupClusterWorker,
+  requestFromPrimary
+};
@@ -0,0 +1,37 @@
+// Admission control limits and route priorities (see src/admission.js)
+module.exports = {
+  // off | fixed | aimd | gradient
+  mode: process.env.ADMISSION_CONTROL || 'off',
+
+  // Fixed limits; in the adaptive modes maxConcurrency is the starting/upper concurrency limit
+  maxConcurrency: parseInt(process.env.ADMISSION_MAX_CONCURRENCY) || 100,
+  minConcurrency: parseInt(process.env.ADMISSION_MIN_CONCURRENCY) || 5,
+  maxEventLoopLagMs: parseFloat(process.env.ADMISSION_MAX_LAG_MS) || 200,
+  maxMongoWaitQueue: parseInt(process.env.ADMISSION_MAX_MONGO_WAIT_QUEUE) || 20,
+
+  // AIMD: shrink the limit when requests finish slower than this
+  targetLatencyMs: parseFloat(process.env.ADMISSION_TARGET_LATENCY_MS) || 250,
+
+  // Share of each limit a priority class may use: low-priority traffic is shed first
+  priorityShare: {
+    high: 1,
+    normal: 0.9,
+    low: 0.7
+  },
+
+  // First match wins; method is optional. Anything unmatched is "normal".
+  routePriorities: [
+    { method: 'POST', path: '/api/users', priority: 'low' },
+    { path: '/api/users/export', priority: 'low' },
+    { path: '/api/orders/export', priority: 'low' },
+    { path: '/api/users/search', priority: 'low' },
+    { method: 'POST', path: '/api/products/bulk', priority: 'low' },
+    { path: '/api/products/search', priority: 'normal' },
+    { method: 'GET', path: '/api/products', priority: 'high' },
+    { method: 'POST', path: '/api/orders', priority: 'high' },
+    { path: '/api/analytics', priority: 'low' }
+  ],
+
+  // Never shed: the control plane has to stay reachable under overload
+  exemptPaths: ['/metrics', '/health', '/slo', '/debug', '/api/scenarios']
+};
@@ -0,0 +1,6 @@
+// MongoDB connection string for the app, the scenarios and the scripts. Orders need
+// transactions, so this must be a replica set member; directConnection skips discovering the
+// set's internal host names from outside Docker.
+module.exports = {
+  uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/perflab?directConnection=true'
+};
@@ -0,0 +1,42 @@
+// Per-route rate limits (see src/rateLimit.js). Set RATE_LIMIT_CONFIG to a JSON file
+// with the same shape to override.
+const fs = require('fs');
+
+const defaults = {
+  enabled: process.env.RATE_LIMIT === 'on',
+
+  // open: let requests through when Redis can't be reached; closed: answer 503
+  failMode: process.env.RATE_LIMIT_FAIL_MODE === 'closed' ? 'closed' : 'open',
+  redisTimeoutMs: parseInt(process.env.RATE_LIMIT_REDIS_TIMEOUT_MS) || 100,
+
+  // Header carrying the client's API key, for rules limited "by": "apiKey"
+  apiKeyHeader: process.env.RATE_LIMIT_API_KEY_HEADER || 'X-API-Key',
+
+  // Per API key multiplier applied to every rule's limit/capacity (e.g. a trusted load generator)
+  clientMultipliers: {},
+
+  // First match wins; method is optional and path matches itself and everything below it.
+  // token-bucket: capacity, refillPerSecond
+  // fixed-window, sliding-log: limit, windowSeconds
+  rules: [
+    { name: 'create-user', method: 'POST', path: '/api/users', by: 'ip', algorithm: 'token-bucket', capacity: 5, refillPerSecond: 0.2 },
+    { name: 'user-search', method: 'GET', path: '/api/users/search', by: 'ip', algorithm: 'sliding-log', limit: 30, windowSeconds: 10 },
+    { name: 'create-order', method: 'POST', path: '/api/orders', by: 'apiKey', algorithm: 'token-bucket', capacity: 20, refillPerSecond: 5 },
+    { name: 'api', path: '/api', by: 'apiKey', algorithm: 'fixed-window', limit: 1000, windowSeconds: 60 }
+  ],
+
+  // Control-plane routes are never limited
+  exemptPaths: ['/api/scenarios']
+};
+
+function loadRateLimitConfig() {
+  const file = process.env.RATE_LIMIT_CONFIG;
+  if (!file) {
+    return defaults;
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { ...defaults, ...overrides };
+}
+
+module.exports = loadRateLimitConfig();
@@ -0,0 +1,45 @@
+// Per-route histogram buckets and SLOs, keyed by "METHOD /route/template".
+// Set ROUTE_METRICS_CONFIG to a JSON file with the same shape to override.
+const fs = require('fs');
+
+const defaults = {
+  // Buckets in seconds
+  bucketProfiles: {
+    default: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    fast: [0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1],
+    slow: [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5, 10, 20, 30, 60]
+  },
+
+  // Rolling window the /slo endpoint reports over
+  sloWindowSeconds: parseInt(process.env.SLO_WINDOW_SECONDS) || 3600,
+
+  // latency: "percentile% of requests finish within latencyMs"; successRate: % of non-5xx responses
+  routes: {
+    'GET /api/products/:id': { buckets: 'fast', slo: { latencyMs: 50, percentile: 95, successRate: 99.9 } },
+    'GET /api/products': { buckets: 'fast', slo: { latencyMs: 100, percentile: 95, successRate: 99.9 } },
+    'GET /api/products/search': { slo: { latencyMs: 250, percentile: 95, successRate: 99.5 } },
+    'POST /api/products/bulk': { buckets: 'slow', slo: { latencyMs: 30000, percentile: 95, successRate: 99 } },
+    'GET /api/users': { slo: { latencyMs: 200, percentile: 95, successRate: 99.5 } },
+    'GET /api/users/search': { slo: { latencyMs: 300, percentile: 95, successRate: 99.5 } },
+    'POST /api/users': { buckets: 'slow', slo: { latencyMs: 1000, percentile: 95, successRate: 99 } },
+    'GET /api/orders': { slo: { latencyMs: 200, percentile: 95, successRate: 99.5 } },
+    'GET /api/orders/:id': { buckets: 'fast', slo: { latencyMs: 100, percentile: 95, successRate: 99.5 } },
+    'POST /api/orders': { slo: { latencyMs: 500, percentile: 95, successRate: 99 } }
+  }
+};
+
+function loadRouteMetricsConfig() {
+  const file = process.env.ROUTE_METRICS_CONFIG;
+  if (!file) {
+    return defaults;
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    bucketProfiles: { ...defaults.bucketProfiles, ...overrides.bucketProfiles },
+    sloWindowSeconds: overrides.sloWindowSeconds || defaults.sloWindowSeconds,
+    routes: { ...defaults.routes, ...overrides.routes }
+  };
+}
+
+module.exports = loadRouteMetricsConfig();
@@ -0,0 +1,153 @@
+// Typed errors for request handling. Anything thrown or passed to next() ends up in errorHandler,
+// which answers with one envelope: { error, code, requestId, details? }.
+const mongoose = require('mongoose');
+const { httpErrors } = require('./metrics');
+const { routeTemplate } = require('./routeTemplate');
+const { logger } = require('./logger');
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'internal_error', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// details: [{ location, field, message }] for input problems; otherwise whatever explains the error
+class ValidationError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 400, code: 'validation_failed', details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message) {
+    super(message, { status: 401, code: 'unauthorized' });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message) {
+    super(message, { status: 403, code: 'forbidden' });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message) {
+    super(message, { status: 404, code: 'not_found' });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 409, code: 'conflict', details });
+  }
+}
+
+// If-Match named a version that is no longer current
+class PreconditionFailedError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 412, code: 'precondition_failed', details });
+  }
+}
+
+// Conditional writes must say which version they expect
+class PreconditionRequiredError extends AppError {
+  constructor(message) {
+    super(message, { status: 428, code: 'precondition_required' });
+  }
+}
+
+// Well-formed, but can't be processed as asked (e.g. an order for a product that doesn't exist)
+class UnprocessableError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 422, code: 'unprocessable', details });
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 429, code: 'rate_limited', details });
+  }
+}
+
+// retryAfter (seconds), when set, is sent as Retry-After
+class ServiceUnavailableError extends AppError {
+  constructor(message, details, retryAfter) {
+    super(message, { status: 503, code: 'unavailable', details });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// The client went away before the answer was ready (nginx's 499): nothing failed on our side
+class ClientClosedRequestError extends AppError {
+  constructor(message) {
+    super(message, { status: 499, code: 'client_closed_request' });
+  }
+}
+
+// Map library errors that are really the client's fault onto the hierarchy
+function toAppError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError(`Invalid ${error.path}: ${JSON.stringify(error.value)}`, [
+      { location: 'params', field: error.path, message: `must be a valid ${error.kind}` }
+    ]);
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(error.errors).map(e => ({ location: 'body', field: e.path, message: e.message }));
+    return new UnprocessableError('Document failed validation', details);
+  }
+  if (error && error.code === 11000) {
+    return new ConflictError('Duplicate key', [{ location: 'body', field: Object.keys(error.keyValue || {})[0], message: 'already exists' }]);
+  }
+  // express.json() parse errors and oversized bodies
+  if (error && error.type === 'entity.parse.failed') {
+    return new ValidationError('Malformed JSON body');
+  }
+  if (error && error.type === 'entity.too.large') {
+    return new AppError('Request body too large', { status: 413, code: 'payload_too_large' });
+  }
+  return new AppError('Internal server error');
+}
+
+function errorHandler(err, req, res, next) {
+  const error = toAppError(err);
+  if (error.status >= 500 && !(err instanceof AppError)) {
+    logger.error('Unhandled error', { requestId: req.id, err });
+  }
+  httpErrors.labels(req.method, routeTemplate(req), String(error.status), error.code).inc();
+
+  if (res.headersSent) {
+    return next(err);
+  }
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  const body = { error: error.message, code: error.code, requestId: req.id };
+  if (error.details) {
+    body.details = error.details;
+  }
+  res.status(error.status).json(body);
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  PreconditionRequiredError,
+  UnprocessableError,
+  TooManyRequestsError,
+  ServiceUnavailableError,
+  ClientClosedRequestError,
+  toAppError,
+  errorHandler
+};
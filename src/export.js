@@ -0,0 +1,127 @@
+// Whole-collection exports as NDJSON or CSV, for the /export endpoints.
+// stream: documents go from a Mongo cursor to the socket one at a time, and the cursor isn't read
+// while the socket's buffer is full, so memory stays flat however large the export is.
+// buffered: the whole result is loaded and serialized first, the way the list endpoints work;
+// kept for comparing heap and time-to-first-byte against streaming.
+const { once } = require('events');
+const { exportDocuments, exportDuration } = require('./metrics');
+const { clientAbortSignal } = require('./requestContext');
+
+const FORMATS = {
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+const BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE) || 500;
+
+// Query options every export endpoint accepts, next to its own filters
+const exportQuery = {
+  format: { type: 'string', enum: Object.keys(FORMATS), default: 'ndjson' },
+  delivery: { type: 'string', enum: ['stream', 'buffered'], default: 'stream' },
+  limit: { type: 'integer', min: 1 }
+};
+
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// { header, row(doc) } for a format. columns: [{ header, value: doc => value }] (CSV only)
+function serializer(format, columns) {
+  if (format === 'csv') {
+    return {
+      header: `${columns.map(column => csvField(column.header)).join(',')}\r\n`,
+      row: doc => `${columns.map(column => csvField(column.value(doc))).join(',')}\r\n`
+    };
+  }
+  return { header: '', row: doc => `${JSON.stringify(doc)}\n` };
+}
+
+// Send the documents matching filter in the format and delivery asked for in req.query
+// (validated with exportQuery). Until the first document arrives nothing is sent, so a failing
+// query still gets a normal error response.
+async function sendExport(req, res, { model, filter = {}, sort, select, columns, name }) {
+  const { format, delivery, limit } = req.query;
+  const { contentType, extension } = FORMATS[format];
+  const serialize = serializer(format, columns);
+  const collection = model.collection.name;
+  const startTime = Date.now();
+  let written = 0;
+  const finish = outcome => {
+    exportDocuments.labels(collection, format, delivery, outcome).inc(written);
+    exportDuration.labels(collection, delivery, outcome).observe((Date.now() - startTime) / 1000);
+  };
+
+  let query = model.find(filter).sort(sort).select(select).lean();
+  if (limit) {
+    query = query.limit(limit);
+  }
+  // Set once there is data to send, so an error response keeps its JSON headers
+  const headers = {
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${name}-${new Date().toISOString().slice(0, 10)}.${extension}"`
+  };
+
+  if (delivery === 'buffered') {
+    try {
+      const docs = await query;
+      const body = serialize.header + docs.map(serialize.row).join('');
+      written = docs.length;
+      finish('completed');
+      return res.set(headers).send(body);
+    } catch (error) {
+      finish('failed');
+      throw error;
+    }
+  }
+
+  // A client that goes away closes the cursor, which ends the loop below
+  const signal = clientAbortSignal(res);
+  const cursor = query.cursor({ batchSize: BATCH_SIZE });
+  const closeCursor = () => cursor.close().catch(() => {});
+  signal.addEventListener('abort', closeCursor, { once: true });
+
+  // The header row goes out with the first document, so nothing is sent before the query has succeeded
+  let pending = serialize.header;
+  try {
+    for await (const doc of cursor) {
+      const chunk = pending + serialize.row(doc);
+      if (!res.headersSent) {
+        res.set(headers);
+      }
+      pending = '';
+      written++;
+      if (!res.write(chunk)) {
+        await once(res, 'drain', { signal });
+      }
+    }
+    if (signal.aborted) {
+      return finish('aborted');
+    }
+    if (!res.headersSent) {
+      res.set(headers);
+    }
+    res.end(pending);
+    finish('completed');
+  } catch (error) {
+    if (signal.aborted) {
+      return finish('aborted');
+    }
+    finish('failed');
+    closeCursor();
+    throw error;
+  } finally {
+    signal.removeEventListener('abort', closeCursor);
+  }
+}
+
+module.exports = {
+  exportQuery,
+  sendExport
+};
@@ -0,0 +1,114 @@
+// Idempotency-Key support for create endpoints: a retried request gets the original response
+// instead of creating a second order or user.
+//
+// Redis holds one record per key: { state: 'in_progress' | 'completed', fingerprint, status, body }.
+// SET NX on the first request is the lock, so concurrent duplicates can't both run.
+const crypto = require('crypto');
+const { idempotencyRequests } = require('./metrics');
+const { ValidationError, ConflictError, UnprocessableError } = require('./errors');
+const { logger } = require('./logger');
+
+const TTL_MS = (parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 86400) * 1000;
+// A crashed instance's lock frees itself after this long
+const LOCK_MS = (parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60) * 1000;
+const MAX_KEY_LENGTH = 255;
+
+function fingerprint(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+// Whether a retry should run the request again rather than replay this response: server
+// errors, and failures of a request whose client had already gone (499 from a cancelled task,
+// or a 4xx nobody received). A success is kept even then, since what it created exists.
+function shouldRelease(res) {
+  if (res.statusCode >= 500 || res.statusCode === 499) {
+    return true;
+  }
+  return res.statusCode >= 400 && (res.destroyed || !res.writable);
+}
+
+// Store the response before it goes out, so a retry arriving right after sees it.
+// Released responses (see shouldRelease) aren't stored: the key is freed and a retry runs again.
+function captureResponse(redis, key, print, res) {
+  let settled = false;
+  const json = res.json;
+
+  res.json = body => {
+    res.json = json;
+    settled = true;
+    const store = shouldRelease(res)
+      ? redis.del(key)
+      : redis.set(key, JSON.stringify({ state: 'completed', fingerprint: print, status: res.statusCode, body: JSON.stringify(body) }), 'PX', TTL_MS);
+    store
+      .catch(error => logger.error(`Failed to store ${key}`, { component: 'idempotency', key, err: error }))
+      .finally(() => json.call(res, body));
+    return res;
+  };
+
+  // Client gone or non-JSON response: release the lock
+  res.once('close', () => {
+    if (!settled) {
+      redis.del(key).catch(() => {});
+    }
+  });
+}
+
+// Middleware for one create endpoint; scope keeps keys of different endpoints apart
+function idempotent(scope) {
+  return async (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (!idempotencyKey) {
+      return next();
+    }
+    if (idempotencyKey.length > MAX_KEY_LENGTH) {
+      return next(new ValidationError(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`));
+    }
+
+    const redis = req.redis;
+    const key = `idempotency:${scope}:${idempotencyKey}`;
+    const print = fingerprint(req);
+
+    try {
+      // Twice: the record can expire or be released between SET NX and GET
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const locked = await redis.set(key, JSON.stringify({ state: 'in_progress', fingerprint: print }), 'PX', LOCK_MS, 'NX');
+        if (locked) {
+          idempotencyRequests.labels(scope, 'new').inc();
+          captureResponse(redis, key, print, res);
+          return next();
+        }
+
+        const raw = await redis.get(key);
+        if (!raw) {
+          continue;
+        }
+        const record = JSON.parse(raw);
+        if (record.fingerprint !== print) {
+          idempotencyRequests.labels(scope, 'mismatch').inc();
+          return next(new UnprocessableError('Idempotency-Key was already used with a different request'));
+        }
+        if (record.state === 'in_progress') {
+          idempotencyRequests.labels(scope, 'in_progress').inc();
+          res.set('Retry-After', '1');
+          return next(new ConflictError('A request with this Idempotency-Key is still being processed'));
+        }
+
+        idempotencyRequests.labels(scope, 'replayed').inc();
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.status).type('json').send(record.body);
+      }
+      next(new ConflictError('A request with this Idempotency-Key is still being processed'));
+    } catch (error) {
+      // Redis trouble shouldn't take creation down with it: carry on without the guarantee
+      idempotencyRequests.labels(scope, 'error').inc();
+      logger.warn('Redis unavailable, skipping', { component: 'idempotency', err: error });
+      next();
+    }
+  };
+}
+
+module.exports = {
+  idempotent
+};
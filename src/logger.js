@@ -0,0 +1,199 @@
+// Structured JSON logs, one object per line: { time, level, msg, pid, requestId, ...fields }.
+// Lines written while a request is being handled carry its X-Request-Id (src/requestContext.js),
+// whether they come from a route, a mongoose hook or a Redis command.
+//
+// LOG_MODE picks how lines reach LOG_FILE (stdout by default), so the cost of logging itself can
+// be measured:
+//   async  lines are batched and written off the event loop (default)
+//   sync   every line is a blocking write, like console.log to a file or pipe
+//   off    nothing is formatted or written, errors included
+//
+// LOG_SAMPLE_RATES keeps a share of the lines per level, e.g. "debug=0.01,info=0.1". Lines of a
+// request are kept or dropped together, and a request kept at a low rate is also kept at every
+// higher one, so sampled logs still tell whole stories.
+const fs = require('fs');
+const path = require('path');
+const { getRequestContext } = require('./requestContext');
+const { routeTemplate } = require('./routeTemplate');
+const { redactUrl } = require('./redact');
+const { logLines } = require('./metrics');
+
+const MODES = ['async', 'sync', 'off'];
+const LOG_MODE = MODES.includes(process.env.LOG_MODE) ? process.env.LOG_MODE : 'async';
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const BATCH_BYTES = (parseInt(process.env.LOG_BATCH_KB) || 64) * 1024;
+
+// Logging must never slow requests down: past this much unwritten output, lines are dropped
+const MAX_BUFFERED_BYTES = (parseInt(process.env.LOG_MAX_BUFFER_MB) || 8) * 1024 * 1024;
+
+const SAMPLE_RATES = { debug: 1, info: 1, warn: 1, error: 1 };
+(process.env.LOG_SAMPLE_RATES || '').split(',').forEach(entry => {
+  const [level, rate] = entry.split('=').map(part => part.trim());
+  if (level in SAMPLE_RATES && !Number.isNaN(parseFloat(rate))) {
+    SAMPLE_RATES[level] = Math.min(1, Math.max(0, parseFloat(rate)));
+  }
+});
+
+let fd = null;
+let stream = null;
+let batch = '';
+let flushScheduled = false;
+
+function open() {
+  if (process.env.LOG_FILE) {
+    const file = path.resolve(process.env.LOG_FILE);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fd = fs.openSync(file, 'a');
+  } else {
+    fd = 1;
+  }
+  if (LOG_MODE === 'async') {
+    // An fs stream writes on the libuv thread pool; process.stdout blocks on files and pipes
+    stream = fs.createWriteStream(null, { fd, autoClose: false });
+    stream.on('error', error => {
+      process.stderr.write(`Failed to write logs: ${error.message}\n`);
+      stream = null;
+    });
+  }
+}
+
+function flushBatch() {
+  flushScheduled = false;
+  if (batch && stream) {
+    stream.write(batch);
+  }
+  batch = '';
+}
+
+function write(line) {
+  if (fd === null) {
+    open();
+  }
+  if (LOG_MODE === 'sync') {
+    fs.writeSync(fd, line);
+    return true;
+  }
+  if (!stream || stream.writableLength + batch.length > MAX_BUFFERED_BYTES) {
+    return false;
+  }
+  batch += line;
+  if (batch.length >= BATCH_BYTES) {
+    flushBatch();
+  } else if (!flushScheduled) {
+    flushScheduled = true;
+    setImmediate(flushBatch);
+  }
+  return true;
+}
+
+// FNV-1a of the request id as a fraction in [0, 1), stable for the request's lifetime
+function requestFraction(id) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < id.length; i++) {
+    hash = Math.imul(hash ^ id.charCodeAt(i), 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
+
+function sampled(level, requestId) {
+  const rate = SAMPLE_RATES[level];
+  if (rate >= 1 || rate <= 0) {
+    return rate >= 1;
+  }
+  return (requestId ? requestFraction(requestId) : Math.random()) < rate;
+}
+
+function serializeError(error) {
+  const serialized = { type: error.name, message: error.message, stack: error.stack };
+  if (error.code !== undefined) {
+    serialized.code = error.code;
+  }
+  return serialized;
+}
+
+function isLevelEnabled(level) {
+  return LOG_MODE !== 'off' && LEVELS[level] >= MIN_LEVEL;
+}
+
+// fields.requestId overrides the async context's, for code running outside the request's context
+function log(level, msg, fields = {}) {
+  if (!isLevelEnabled(level)) {
+    return;
+  }
+  const context = getRequestContext();
+  const requestId = fields.requestId || (context ? context.id : undefined);
+  if (!sampled(level, requestId)) {
+    logLines.labels(level, 'sampled_out').inc();
+    return;
+  }
+
+  const entry = { time: new Date().toISOString(), level, msg, pid: process.pid, requestId };
+  Object.keys(fields).forEach(key => {
+    entry[key] = fields[key] instanceof Error ? serializeError(fields[key]) : fields[key];
+  });
+  let line;
+  try {
+    line = `${JSON.stringify(entry)}\n`;
+  } catch (error) {
+    line = `${JSON.stringify({ time: entry.time, level, msg, pid: process.pid, requestId, logError: error.message })}\n`;
+  }
+  logLines.labels(level, write(line) ? 'written' : 'dropped').inc();
+}
+
+const logger = {
+  debug: (msg, fields) => log('debug', msg, fields),
+  info: (msg, fields) => log('info', msg, fields),
+  warn: (msg, fields) => log('warn', msg, fields),
+  error: (msg, fields) => log('error', msg, fields)
+};
+
+// One line per request once it has been answered (or the client went away)
+function requestLogMiddleware(req, res, next) {
+  const start = process.hrtime.bigint();
+  res.once('close', () => {
+    const level = !res.writableFinished ? 'warn' : res.statusCode >= 500 ? 'error' : 'info';
+    if (!isLevelEnabled(level)) {
+      return;
+    }
+    log(level, res.writableFinished ? 'request completed' : 'request aborted', {
+      requestId: req.id,
+      method: req.method,
+      path: redactUrl(req.originalUrl),
+      route: routeTemplate(req),
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e3) / 1e3,
+      perfMode: req.perfMode
+    });
+  });
+  next();
+}
+
+// Resolves once every line logged so far has been written
+function flushLogs() {
+  if (!stream) {
+    return Promise.resolve();
+  }
+  if (batch) {
+    const pending = batch;
+    batch = '';
+    return new Promise(resolve => stream.write(pending, resolve));
+  }
+  return stream.writableLength ? new Promise(resolve => stream.once('drain', resolve)) : Promise.resolve();
+}
+
+// A batch still waiting for its turn would be lost on exit
+process.on('exit', () => {
+  if (batch && fd !== null) {
+    fs.writeSync(fd, batch);
+    batch = '';
+  }
+});
+
+module.exports = {
+  LOG_MODE,
+  logger,
+  isLevelEnabled,
+  requestLogMiddleware,
+  flushLogs
+};
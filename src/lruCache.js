@@ -0,0 +1,72 @@
+// Size- and TTL-bounded in-process LRU. Map keeps insertion order, so the first key is the least recently used.
+class LruCache {
+  constructor({ maxEntries = 1000, maxBytes = 50 * 1024 * 1024, onEvict = () => {} } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.onEvict = onEvict;
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key, 'ttl');
+      return undefined;
+    }
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  // bytes: approximate footprint of the value (its serialized length)
+  set(key, value, { ttlMs, bytes = 0, tags = [] }) {
+    if (ttlMs <= 0 || bytes > this.maxBytes) {
+      return;
+    }
+    if (this.entries.has(key)) {
+      this.remove(key, null);
+    }
+    this.entries.set(key, { value, bytes, tags, expiresAt: Date.now() + ttlMs });
+    this.bytes += bytes;
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.remove(this.entries.keys().next().value, 'size');
+    }
+  }
+
+  // reason is reported to onEvict; null for silent replacement
+  remove(key, reason = 'invalidation') {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    if (reason) {
+      this.onEvict(reason);
+    }
+    return true;
+  }
+
+  removeWhere(predicate, reason = 'invalidation') {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (predicate(key, entry)) {
+        this.remove(key, reason);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = LruCache;
@@ -1,4 +1,6 @@
 const promClient = require('prom-client');
+const { performance } = require('perf_hooks');
+const routeMetrics = require('./config/routeMetrics');
 
 const register = new promClient.Registry();
 
@@ -10,27 +12,107 @@ const register = new promClient.Registry();
 const httpDuration = new promClient.Histogram({
   name: 'http_request_duration_seconds',
   help: 'Duration of HTTP requests in seconds',
-  labelNames: ['method', 'route', 'status'],
-  buckets: [0.1, 0.3, 0.5, 0.7, 1, 3, 5, 7, 10]
+  labelNames: ['method', 'route', 'status', 'mode'],
+  buckets: routeMetrics.bucketProfiles.default
 });
 
+// Routes with a bucket profile are also observed into a histogram with that profile's buckets
+const httpDurationByProfile = {};
+for (const [profile, buckets] of Object.entries(routeMetrics.bucketProfiles)) {
+  if (profile === 'default') {
+    continue;
+  }
+  httpDurationByProfile[profile] = new promClient.Histogram({
+    name: `http_request_duration_${profile}_seconds`,
+    help: `Duration of HTTP requests in seconds, for routes using the "${profile}" bucket profile`,
+    labelNames: ['method', 'route', 'status', 'mode'],
+    buckets
+  });
+}
+
 const httpRequestCounter = new promClient.Counter({
   name: 'http_requests_total',
   help: 'Total number of HTTP requests',
-  labelNames: ['method', 'route', 'status']
+  labelNames: ['method', 'route', 'status', 'mode']
+});
+
+// Error responses by status and error code (src/errors.js): 4xx are the client's, 5xx are ours
+const httpErrors = new promClient.Counter({
+  name: 'http_errors_total',
+  help: 'Error responses by route, status and error code',
+  labelNames: ['method', 'route', 'status', 'code']
 });
 
 const dbQueryDuration = new promClient.Histogram({
   name: 'db_query_duration_seconds',
   help: 'Database query duration',
-  labelNames: ['operation', 'collection'],
+  labelNames: ['operation', 'collection', 'mode'],
   buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 2, 5]
 });
 
 const cacheHitRate = new promClient.Counter({
   name: 'cache_operations_total',
-  help: 'Cache hit/miss rate',
-  labelNames: ['operation', 'result']
+  help: 'Cache operations per namespace (get: hit/miss/stale/coalesced, invalidate: tag/key/keys)',
+  labelNames: ['operation', 'result', 'namespace']
+});
+
+// In-process L1 cache tier (src/cache.js)
+const l1CacheOperations = new promClient.Counter({
+  name: 'cache_l1_operations_total',
+  help: 'In-process L1 cache lookups by namespace and result (hit/miss)',
+  labelNames: ['namespace', 'result']
+});
+
+const l1CacheEvictions = new promClient.Counter({
+  name: 'cache_l1_evictions_total',
+  help: 'In-process L1 cache evictions by reason (size/ttl/invalidation)',
+  labelNames: ['reason']
+});
+
+const l1CacheHitRatio = new promClient.Gauge({
+  name: 'cache_l1_hit_ratio',
+  help: 'In-process L1 cache hit ratio since startup',
+  async collect() {
+    const { values } = await l1CacheOperations.get();
+    const total = values.reduce((sum, { value }) => sum + value, 0);
+    const hits = values.filter(({ labels }) => labels.result === 'hit').reduce((sum, { value }) => sum + value, 0);
+    this.set(total ? hits / total : 0);
+  }
+});
+
+const l1CacheBytes = new promClient.Gauge({
+  name: 'cache_l1_bytes',
+  help: 'Approximate memory held by the in-process L1 cache (serialized size of its values)'
+});
+
+const l1CacheEntries = new promClient.Gauge({
+  name: 'cache_l1_entries',
+  help: 'Number of entries in the in-process L1 cache'
+});
+
+// Worker thread pool for CPU-bound work (src/workers/pool.js)
+const workerPoolQueueDepth = new promClient.Gauge({
+  name: 'worker_pool_queue_depth',
+  help: 'Tasks waiting for a free worker thread'
+});
+
+const workerPoolWaitTime = new promClient.Histogram({
+  name: 'worker_pool_wait_seconds',
+  help: 'Time tasks spent queued before a worker picked them up',
+  labelNames: ['task'],
+  buckets: [0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+});
+
+const workerPoolTaskDuration = new promClient.Histogram({
+  name: 'worker_pool_task_duration_seconds',
+  help: 'Time tasks spent running on a worker thread, by outcome (success/error/timeout/cancelled)',
+  labelNames: ['task', 'outcome'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+});
+
+const workerPoolUtilization = new promClient.Gauge({
+  name: 'worker_pool_utilization_ratio',
+  help: 'Fraction of worker threads currently busy'
 });
 
 const activeConnections = new promClient.Gauge({
@@ -43,21 +125,224 @@ const memoryLeakGauge = new promClient.Gauge({
   help: 'Tracking potential memory leaks'
 });
 
+const scenarioActivations = new promClient.Counter({
+  name: 'bottleneck_scenario_activations_total',
+  help: 'Number of times a bottleneck scenario was activated',
+  labelNames: ['scenario', 'source']
+});
+
+const scenarioDuration = new promClient.Histogram({
+  name: 'bottleneck_scenario_duration_seconds',
+  help: 'Time spent inside bottleneck scenarios',
+  labelNames: ['scenario', 'source'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30]
+});
+
+// Event loop, GC and handle metrics (lag, GC and blocks are fed by src/monitoring/runtime.js)
+let lastEventLoopUtilization = performance.eventLoopUtilization();
+const eventLoopUtilization = new promClient.Gauge({
+  name: 'eventloop_utilization_ratio',
+  help: 'Fraction of time the event loop was busy since the last scrape',
+  collect() {
+    const current = performance.eventLoopUtilization();
+    this.set(performance.eventLoopUtilization(current, lastEventLoopUtilization).utilization);
+    lastEventLoopUtilization = current;
+  }
+});
+
+const eventLoopLag = new promClient.Histogram({
+  name: 'eventloop_lag_seconds',
+  help: 'Delay between when a timer was due and when it ran',
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+});
+
+const eventLoopBlocked = new promClient.Counter({
+  name: 'eventloop_blocked_total',
+  help: 'Times the event loop was blocked past the watchdog threshold',
+  labelNames: ['route']
+});
+
+const gcPauseDuration = new promClient.Histogram({
+  name: 'gc_pause_seconds',
+  help: 'Garbage collection pause duration by kind',
+  labelNames: ['kind'],
+  buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]
+});
+
+const activeHandles = new promClient.Gauge({
+  name: 'process_active_handles',
+  help: 'Number of active libuv handles (sockets, timers, servers)',
+  collect() {
+    this.set(process._getActiveHandles().length);
+  }
+});
+
+const activeRequests = new promClient.Gauge({
+  name: 'process_active_requests',
+  help: 'Number of active libuv requests (fs, dns, crypto)',
+  collect() {
+    this.set(process._getActiveRequests().length);
+  }
+});
+
+const orderTransitions = new promClient.Counter({
+  name: 'order_status_transitions_total',
+  help: 'Order status changes by from/to status',
+  labelNames: ['from', 'to']
+});
+
+// Idempotency-Key handling (src/idempotency.js)
+const idempotencyRequests = new promClient.Counter({
+  name: 'idempotency_requests_total',
+  help: 'Requests carrying an Idempotency-Key by endpoint and outcome (new, replayed, mismatch, in_progress, error)',
+  labelNames: ['scope', 'result']
+});
+
+// Admission control (src/admission.js)
+const admissionDecisions = new promClient.Counter({
+  name: 'admission_decisions_total',
+  help: 'Requests admitted or shed by admission control, by route priority and shed reason',
+  labelNames: ['decision', 'priority', 'reason']
+});
+
+const admissionConcurrencyLimit = new promClient.Gauge({
+  name: 'admission_concurrency_limit',
+  help: 'Current concurrency limit (moves in the adaptive modes)'
+});
+
+const admissionInFlight = new promClient.Gauge({
+  name: 'admission_in_flight_requests',
+  help: 'Admitted requests still being handled'
+});
+
+const mongoPoolWaitQueue = new promClient.Gauge({
+  name: 'mongo_pool_wait_queue',
+  help: 'Operations waiting to check out a MongoDB connection'
+});
+
+const mongoPoolInUse = new promClient.Gauge({
+  name: 'mongo_pool_connections_in_use',
+  help: 'MongoDB connections currently checked out'
+});
+
+// Rate limiting (src/rateLimit.js)
+const rateLimitDecisions = new promClient.Counter({
+  name: 'rate_limit_decisions_total',
+  help: 'Rate limit checks by rule and result (allowed, rejected, failed_open, failed_closed)',
+  labelNames: ['rule', 'algorithm', 'result']
+});
+
+// Streaming and buffered exports (src/export.js)
+const exportDocuments = new promClient.Counter({
+  name: 'export_documents_total',
+  help: 'Documents written by export endpoints, by collection, format, delivery (stream/buffered) and outcome (completed/aborted/failed)',
+  labelNames: ['collection', 'format', 'delivery', 'outcome']
+});
+
+const exportDuration = new promClient.Histogram({
+  name: 'export_duration_seconds',
+  help: 'Time from the first query to the last byte of an export, by collection, delivery and outcome',
+  labelNames: ['collection', 'delivery', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]
+});
+
+const recordedRequests = new promClient.Counter({
+  name: 'recorded_requests_total',
+  help: 'Requests seen by traffic recording, by outcome (recorded/sampled_out/dropped)',
+  labelNames: ['outcome']
+});
+
+const logLines = new promClient.Counter({
+  name: 'log_lines_total',
+  help: 'Log lines at or above LOG_LEVEL, by level and outcome (written/sampled_out/dropped)',
+  labelNames: ['level', 'outcome']
+});
+
+const captureCounter = new promClient.Counter({
+  name: 'debug_captures_total',
+  help: 'CPU profiles and heap snapshots taken',
+  labelNames: ['type', 'trigger']
+});
+
 // Register metrics
 register.registerMetric(httpDuration);
+Object.values(httpDurationByProfile).forEach(metric => register.registerMetric(metric));
 register.registerMetric(httpRequestCounter);
+register.registerMetric(httpErrors);
 register.registerMetric(dbQueryDuration);
 register.registerMetric(cacheHitRate);
+register.registerMetric(orderTransitions);
+register.registerMetric(idempotencyRequests);
+register.registerMetric(l1CacheOperations);
+register.registerMetric(l1CacheEvictions);
+register.registerMetric(l1CacheHitRatio);
+register.registerMetric(l1CacheBytes);
+register.registerMetric(l1CacheEntries);
+register.registerMetric(workerPoolQueueDepth);
+register.registerMetric(workerPoolWaitTime);
+register.registerMetric(workerPoolTaskDuration);
+register.registerMetric(workerPoolUtilization);
 register.registerMetric(activeConnections);
 register.registerMetric(memoryLeakGauge);
+register.registerMetric(scenarioActivations);
+register.registerMetric(scenarioDuration);
+register.registerMetric(eventLoopUtilization);
+register.registerMetric(eventLoopLag);
+register.registerMetric(eventLoopBlocked);
+register.registerMetric(gcPauseDuration);
+register.registerMetric(activeHandles);
+register.registerMetric(activeRequests);
+register.registerMetric(captureCounter);
+register.registerMetric(admissionDecisions);
+register.registerMetric(admissionConcurrencyLimit);
+register.registerMetric(admissionInFlight);
+register.registerMetric(mongoPoolWaitQueue);
+register.registerMetric(mongoPoolInUse);
+register.registerMetric(rateLimitDecisions);
+register.registerMetric(exportDocuments);
+register.registerMetric(exportDuration);
+register.registerMetric(recordedRequests);
+register.registerMetric(logLines);
 
 module.exports = {
   register,
   httpDuration,
+  httpDurationByProfile,
   httpRequestCounter,
+  httpErrors,
   dbQueryDuration,
   cacheHitRate,
+  orderTransitions,
+  idempotencyRequests,
+  l1CacheOperations,
+  l1CacheEvictions,
+  l1CacheHitRatio,
+  l1CacheBytes,
+  l1CacheEntries,
+  workerPoolQueueDepth,
+  workerPoolWaitTime,
+  workerPoolTaskDuration,
+  workerPoolUtilization,
   activeConnections,
   memoryLeakGauge,
+  scenarioActivations,
+  scenarioDuration,
+  eventLoopUtilization,
+  eventLoopLag,
+  eventLoopBlocked,
+  gcPauseDuration,
+  activeHandles,
+  activeRequests,
+  captureCounter,
+  admissionDecisions,
+  admissionConcurrencyLimit,
+  admissionInFlight,
+  mongoPoolWaitQueue,
+  mongoPoolInUse,
+  rateLimitDecisions,
+  exportDocuments,
+  exportDuration,
+  recordedRequests,
+  logLines,
   collectDefaultMetrics: promClient.collectDefaultMetrics
 };
\ No newline at end of file
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// What scripts/seed.js last wrote, so benchmark results can name the dataset they ran against.
+// One document in its own collection; the seeder owns it, the app only reads it.
+const DATASET_COLLECTION = 'dataset_metadata';
+const DATASET_ID = 'current';
+const INFO_TTL_MS = 60000;
+
+function datasetCollection() {
+  return mongoose.connection.collection(DATASET_COLLECTION);
+}
+
+function readDatasetMetadata() {
+  return datasetCollection().findOne({ _id: DATASET_ID });
+}
+
+function writeDatasetMetadata(metadata) {
+  return datasetCollection().replaceOne({ _id: DATASET_ID }, { ...metadata, _id: DATASET_ID }, { upsert: true });
+}
+
+function clearDatasetMetadata() {
+  return datasetCollection().deleteOne({ _id: DATASET_ID });
+}
+
+let info = null;
+let infoReadAt = 0;
+
+// { fingerprint, seed, counts, seededAt }, or null for an unseeded database. Cached for a
+// minute; never waits on a disconnected database.
+async function getDatasetInfo() {
+  if (mongoose.connection.readyState !== 1) {
+    return null;
+  }
+  if (Date.now() - infoReadAt > INFO_TTL_MS) {
+    const metadata = await readDatasetMetadata();
+    info = metadata && {
+      fingerprint: metadata.fingerprint,
+      seed: metadata.seed,
+      counts: metadata.counts,
+      seededAt: metadata.seededAt
+    };
+    infoReadAt = Date.now();
+  }
+  return info;
+}
+
+module.exports = {
+  readDatasetMetadata,
+  writeDatasetMetadata,
+  clearDatasetMetadata,
+  getDatasetInfo
+};
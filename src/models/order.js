@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// Order Schema
+const orderSchema = new mongoose.Schema({
+  orderId: { type: String, unique: true, default: uuidv4 },
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  items: [{
+    productId: mongoose.Schema.Types.ObjectId,
+    quantity: Number,
+    price: Number
+  }],
+  totalAmount: { type: Number, required: true },
+  status: { type: String, enum: ORDER_STATUSES, default: 'pending' },
+  shippingAddress: {
+    street: String,
+    city: String,
+    zipCode: String,
+    country: String
+  },
+  // Audit trail: one entry per status change, starting with creation (from: null)
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    at: Date,
+    requestId: String,
+    reason: String
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Keyset pagination walks newest first, optionally within one user or status
+orderSchema.index({ createdAt: -1, _id: -1 });
+orderSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+orderSchema.index({ status: 1, createdAt: -1, _id: -1 });
+
+const Order = mongoose.model('Order', orderSchema);
+
+module.exports = {
+  Order,
+  ORDER_STATUSES
+};
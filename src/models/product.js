@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Product Schema
+const productSchema = new mongoose.Schema({
+  name: { type: String, required: true, index: true },
+  description: String,
+  price: { type: Number, required: true },
+  category: { type: String, index: true },
+  stock: { type: Number, default: 0 },
+  tags: [String],
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Keyset pagination walks cheapest first, optionally within one category
+productSchema.index({ price: 1, _id: 1 });
+productSchema.index({ category: 1, price: 1, _id: 1 });
+
+// Full-text search: a match in the name counts most, then tags, then the description
+productSchema.index(
+  { name: 'text', tags: 'text', description: 'text' },
+  { name: 'product_text', weights: { name: 10, tags: 5, description: 1 } }
+);
+
+const Product = mongoose.model('Product', productSchema);
+
+module.exports = {
+  Product
+};
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// User Schema
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, index: true },
+  email: { type: String, required: true, index: true },
+  password: String,
+  profile: {
+    age: Number,
+    location: String,
+    preferences: Object
+  },
+  loginHistory: [{ timestamp: Date, ip: String }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Keyset pagination walks newest first
+userSchema.index({ createdAt: -1, _id: -1 });
+
+// Case-insensitive comparison for the optimized user search. The indexes must carry the same
+// collation as the query to be used, and are named apart from the plain username/email ones.
+const SEARCH_COLLATION = { locale: 'en', strength: 2 };
+['username', 'email', 'profile.location'].forEach(field => {
+  userSchema.index({ [field]: 1 }, { collation: SEARCH_COLLATION, name: `${field.replace('.', '_')}_search` });
+});
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = {
+  User,
+  SEARCH_COLLATION
+};
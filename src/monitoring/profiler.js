@@ -0,0 +1,169 @@
+// On-demand CPU profiles and heap snapshots through the inspector module
+const fs = require('fs');
+const path = require('path');
+const inspector = require('inspector');
+const { captureCounter } = require('../metrics');
+const { onLagSample } = require('./runtime');
+const { ConflictError } = require('../errors');
+const { logger } = require('../logger');
+
+const CAPTURE_DIR = path.resolve(process.env.CAPTURE_DIR || 'captures');
+const CAPTURE_EXTENSIONS = ['.cpuprofile', '.heapsnapshot'];
+const MAX_PROFILE_SECONDS = 300;
+
+// Only one capture at a time: both are heavy and would distort each other
+let activeCapture = null;
+
+class CaptureInProgressError extends ConflictError {
+  constructor(capture) {
+    super(`A ${capture.type} capture is already running (started ${capture.startedAt})`);
+  }
+}
+
+function post(session, method, params = {}) {
+  return new Promise((resolve, reject) => {
+    session.post(method, params, (error, result) => (error ? reject(error) : resolve(result)));
+  });
+}
+
+function captureFile(type, trigger) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const extension = type === 'cpu' ? '.cpuprofile' : '.heapsnapshot';
+  return path.join(CAPTURE_DIR, `${type}-${stamp}-${trigger}-${process.pid}${extension}`);
+}
+
+async function runExclusive(type, trigger, capture) {
+  if (activeCapture) {
+    throw new CaptureInProgressError(activeCapture);
+  }
+  activeCapture = { type, trigger, startedAt: new Date().toISOString() };
+
+  const startTime = Date.now();
+  try {
+    await fs.promises.mkdir(CAPTURE_DIR, { recursive: true });
+    const file = captureFile(type, trigger);
+    await capture(file);
+    captureCounter.labels(type, trigger).inc();
+    const { size } = await fs.promises.stat(file);
+    return { type, trigger, file: path.basename(file), size, durationMs: Date.now() - startTime };
+  } finally {
+    activeCapture = null;
+  }
+}
+
+function captureCpuProfile(seconds, trigger = 'manual') {
+  return runExclusive('cpu', trigger, async file => {
+    const session = new inspector.Session();
+    session.connect();
+    try {
+      await post(session, 'Profiler.enable');
+      await post(session, 'Profiler.start');
+      await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+      const { profile } = await post(session, 'Profiler.stop');
+      await fs.promises.writeFile(file, JSON.stringify(profile));
+    } finally {
+      session.disconnect();
+    }
+  });
+}
+
+function captureHeapSnapshot(trigger = 'manual') {
+  return runExclusive('heap', trigger, async file => {
+    const session = new inspector.Session();
+    const out = fs.createWriteStream(file);
+    session.connect();
+    session.on('HeapProfiler.addHeapSnapshotChunk', ({ params }) => out.write(params.chunk));
+    try {
+      await post(session, 'HeapProfiler.takeHeapSnapshot', { reportProgress: false });
+    } finally {
+      session.disconnect();
+      await new Promise((resolve, reject) => out.end(error => (error ? reject(error) : resolve())));
+    }
+  });
+}
+
+async function listCaptures() {
+  let names;
+  try {
+    names = await fs.promises.readdir(CAPTURE_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const captures = [];
+  for (const name of names) {
+    if (!CAPTURE_EXTENSIONS.includes(path.extname(name))) {
+      continue;
+    }
+    const stats = await fs.promises.stat(path.join(CAPTURE_DIR, name));
+    captures.push({ file: name, size: stats.size, createdAt: stats.mtime.toISOString() });
+  }
+  return captures.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Resolve a capture name to its path, refusing anything outside the capture directory
+function capturePath(name) {
+  if (path.basename(name) !== name || !CAPTURE_EXTENSIONS.includes(path.extname(name))) {
+    return null;
+  }
+  return path.join(CAPTURE_DIR, name);
+}
+
+function getActiveCapture() {
+  return activeCapture;
+}
+
+// Optional automatic captures when heap or event loop lag crosses a threshold
+function startAutoCapture() {
+  const heapThresholdMB = parseFloat(process.env.AUTO_CAPTURE_HEAP_MB) || 0;
+  const lagThresholdMs = parseFloat(process.env.AUTO_CAPTURE_LAG_MS) || 0;
+  if (!heapThresholdMB && !lagThresholdMs) {
+    return;
+  }
+
+  const cooldownMs = (parseFloat(process.env.AUTO_CAPTURE_COOLDOWN_SECONDS) || 300) * 1000;
+  const profileSeconds = parseFloat(process.env.AUTO_CAPTURE_PROFILE_SECONDS) || 10;
+  let lastCaptureAt = 0;
+
+  const trigger = (reason, capture) => {
+    if (activeCapture || Date.now() - lastCaptureAt < cooldownMs) {
+      return;
+    }
+    lastCaptureAt = Date.now();
+    capture()
+      .then(result => logger.info(`Auto capture (${reason}) written to ${result.file}`, { component: 'profiler', file: result.file }))
+      .catch(error => logger.error(`Auto capture (${reason}) failed`, { component: 'profiler', err: error }));
+  };
+
+  if (heapThresholdMB) {
+    setInterval(() => {
+      const heapUsedMB = process.memoryUsage().heapUsed / 1024 / 1024;
+      if (heapUsedMB > heapThresholdMB) {
+        trigger(`heap ${heapUsedMB.toFixed(0)}MB > ${heapThresholdMB}MB`, () => captureHeapSnapshot('heap-threshold'));
+      }
+    }, 5000).unref();
+  }
+
+  if (lagThresholdMs) {
+    onLagSample(lagMs => {
+      if (lagMs > lagThresholdMs) {
+        trigger(`lag ${lagMs.toFixed(0)}ms > ${lagThresholdMs}ms`, () => captureCpuProfile(profileSeconds, 'lag-threshold'));
+      }
+    });
+  }
+}
+
+module.exports = {
+  CAPTURE_DIR,
+  MAX_PROFILE_SECONDS,
+  CaptureInProgressError,
+  captureCpuProfile,
+  captureHeapSnapshot,
+  listCaptures,
+  capturePath,
+  getActiveCapture,
+  startAutoCapture
+};
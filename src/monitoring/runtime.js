@@ -0,0 +1,101 @@
+// Event loop lag sampling, GC pause tracking and the blocked-loop watchdog
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { performance, PerformanceObserver, constants } = require('perf_hooks');
+const { eventLoopLag, eventLoopBlocked, gcPauseDuration } = require('../metrics');
+const { getInFlightRequests } = require('../requestContext');
+const { logger } = require('../logger');
+
+const LAG_SAMPLE_INTERVAL_MS = parseInt(process.env.EVENT_LOOP_SAMPLE_INTERVAL_MS) || 20;
+const BLOCK_THRESHOLD_MS = parseInt(process.env.EVENT_LOOP_BLOCK_THRESHOLD_MS) || 200;
+
+const GC_KINDS = {
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+  [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb'
+};
+
+// Shared with the watchdog worker: the lag sampler bumps it on every tick
+const heartbeat = new Int32Array(new SharedArrayBuffer(4));
+
+const lagListeners = [];
+let started = false;
+
+// Lag is measured as timer drift: how late a timer ran compared to when it was due
+function startLagSampler() {
+  let expected = performance.now() + LAG_SAMPLE_INTERVAL_MS;
+  const tick = () => {
+    const now = performance.now();
+    const lagMs = Math.max(0, now - expected);
+    eventLoopLag.observe(lagMs / 1000);
+    lagListeners.forEach(listener => listener(lagMs));
+    Atomics.add(heartbeat, 0, 1);
+    expected = now + LAG_SAMPLE_INTERVAL_MS;
+    setTimeout(tick, LAG_SAMPLE_INTERVAL_MS).unref();
+  };
+  setTimeout(tick, LAG_SAMPLE_INTERVAL_MS).unref();
+}
+
+function startGcObserver() {
+  const observer = new PerformanceObserver(list => {
+    for (const entry of list.getEntries()) {
+      const kind = entry.detail ? entry.detail.kind : entry.kind;
+      gcPauseDuration.labels(GC_KINDS[kind] || 'unknown').observe(entry.duration / 1000);
+    }
+  });
+  observer.observe({ entryTypes: ['gc'] });
+}
+
+function describeContext(context) {
+  return context ? `${context.method} ${context.path}` : 'none';
+}
+
+function reportBlock({ blockedMs, stack, context }) {
+  // context comes from the frame that was actually running; in-flight requests are the fallback
+  const route = context ? describeContext(context) : 'unknown';
+  eventLoopBlocked.labels(context ? context.route : 'unknown').inc();
+
+  // stack is null when the loop recovered before the sample was taken
+  logger.warn(`Event loop blocked for ${blockedMs}ms while running ${route}`, {
+    component: 'watchdog',
+    requestId: context ? context.id : undefined,
+    blockedMs,
+    thresholdMs: BLOCK_THRESHOLD_MS,
+    inFlight: getInFlightRequests().map(inFlight => ({ requestId: inFlight.id, request: describeContext(inFlight) })),
+    stack: stack && stack.length ? stack : null
+  });
+}
+
+function startWatchdog() {
+  const worker = new Worker(path.join(__dirname, 'watchdogWorker.js'), {
+    workerData: { heartbeat: heartbeat.buffer, thresholdMs: BLOCK_THRESHOLD_MS }
+  });
+  worker.on('message', reportBlock);
+  worker.on('error', error => logger.error('Worker failed', { component: 'watchdog', err: error }));
+  worker.unref();
+}
+
+function startRuntimeMonitoring() {
+  if (started) {
+    return;
+  }
+  started = true;
+
+  startLagSampler();
+  startGcObserver();
+  if (process.env.EVENT_LOOP_WATCHDOG !== 'off') {
+    startWatchdog();
+  }
+}
+
+// Subscribe to every lag sample (milliseconds)
+function onLagSample(listener) {
+  lagListeners.push(listener);
+}
+
+module.exports = {
+  startRuntimeMonitoring,
+  onLagSample,
+  BLOCK_THRESHOLD_MS
+};
@@ -0,0 +1,92 @@
+// Runs on its own thread so it keeps ticking while the main event loop is stuck.
+// When the heartbeat stops for longer than the threshold it pauses the main thread
+// through the inspector, records the stack and the request context, and resumes it.
+const { workerData, parentPort } = require('worker_threads');
+const inspector = require('inspector');
+
+const heartbeat = new Int32Array(workerData.heartbeat);
+const thresholdMs = workerData.thresholdMs;
+const POLL_INTERVAL_MS = Math.max(5, Math.min(50, Math.floor(thresholdMs / 4)));
+const MAX_FRAMES = 20;
+const CONTEXT_EXPRESSION = "globalThis[Symbol.for('perf-lab.requestContext')]()";
+
+let lastBeat = Atomics.load(heartbeat, 0);
+let lastBeatAt = Date.now();
+let episode = null;
+
+function post(session, method, params = {}) {
+  return new Promise((resolve, reject) => {
+    session.post(method, params, (error, result) => (error ? reject(error) : resolve(result)));
+  });
+}
+
+// The debugger is only attached for the duration of a sample so it doesn't skew normal runs
+async function sampleMainThread(beatAtRequest) {
+  const session = new inspector.Session();
+  session.connectToMainThread();
+  const scriptUrls = new Map();
+  session.on('Debugger.scriptParsed', ({ params }) => scriptUrls.set(params.scriptId, params.url));
+
+  try {
+    const paused = new Promise(resolve => session.once('Debugger.paused', ({ params }) => resolve(params)));
+    await post(session, 'Debugger.enable');
+    await post(session, 'Debugger.pause');
+    const { callFrames } = await paused;
+
+    // If the loop already recovered, the pause landed on unrelated code
+    if (Atomics.load(heartbeat, 0) !== beatAtRequest) {
+      await post(session, 'Debugger.resume');
+      return { stack: null, context: null };
+    }
+
+    const stack = callFrames.slice(0, MAX_FRAMES).map(frame => {
+      const url = scriptUrls.get(frame.location.scriptId) || frame.url || '<anonymous>';
+      return `${frame.functionName || '<anonymous>'} (${url}:${frame.location.lineNumber + 1}:${frame.location.columnNumber + 1})`;
+    });
+
+    let context = null;
+    try {
+      const { result } = await post(session, 'Debugger.evaluateOnCallFrame', {
+        callFrameId: callFrames[0].callFrameId,
+        expression: CONTEXT_EXPRESSION,
+        silent: true
+      });
+      context = typeof result.value === 'string' ? JSON.parse(result.value) : null;
+    } catch (error) {
+      // No request context available in this frame
+    }
+
+    await post(session, 'Debugger.resume');
+    return { stack, context };
+  } finally {
+    await post(session, 'Debugger.disable').catch(() => {});
+    session.disconnect();
+  }
+}
+
+function poll() {
+  const beat = Atomics.load(heartbeat, 0);
+  const now = Date.now();
+
+  if (beat !== lastBeat) {
+    if (episode) {
+      const finished = episode;
+      finished.sample.then(({ stack, context }) => {
+        parentPort.postMessage({ blockedMs: now - finished.startedAt, stack, context });
+      });
+      episode = null;
+    }
+    lastBeat = beat;
+    lastBeatAt = now;
+    return;
+  }
+
+  if (!episode && now - lastBeatAt > thresholdMs) {
+    episode = {
+      startedAt: lastBeatAt,
+      sample: sampleMainThread(beat).catch(() => ({ stack: null, context: null }))
+    };
+  }
+}
+
+setInterval(poll, POLL_INTERVAL_MS);
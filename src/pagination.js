@@ -0,0 +1,111 @@
+// Keyset (cursor) pagination. Offset pagination has to skip past every earlier row, so it gets
+// slower the deeper you page; a keyset page seeks straight to the last key seen through an index.
+//
+// keys: the sort, ending in a unique field, e.g.
+//   [{ field: 'createdAt', order: -1, type: 'date' }, { field: '_id', order: -1, type: 'objectId' }]
+// Cursors are opaque to clients: base64url JSON of the direction and the boundary row's key values.
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+// Offset pagination unless the client asks for cursors or sends one
+function wantsCursor(query) {
+  return query.pagination === 'cursor' || query.cursor !== undefined;
+}
+
+function encodeCursor(direction, keys, doc) {
+  const values = keys.map(({ field, type }) => (type === 'date' ? new Date(doc[field]).toISOString() : String(doc[field])));
+  return Buffer.from(JSON.stringify({ d: direction, v: values })).toString('base64url');
+}
+
+function decodeValue(value, type) {
+  if (type === 'date') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+  if (type === 'objectId') {
+    return mongoose.isObjectIdOrHexString(value) ? new mongoose.Types.ObjectId(value) : undefined;
+  }
+  if (type === 'number') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+  }
+  return value;
+}
+
+function decodeCursor(token, keys) {
+  const invalid = () => new ValidationError('Invalid cursor', [{ location: 'query', field: 'cursor', message: 'is not a cursor returned by this endpoint' }]);
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalid();
+  }
+  if (!cursor || !['next', 'prev'].includes(cursor.d) || !Array.isArray(cursor.v) || cursor.v.length !== keys.length) {
+    throw invalid();
+  }
+  const values = cursor.v.map((value, i) => decodeValue(value, keys[i].type));
+  if (values.includes(undefined)) {
+    throw invalid();
+  }
+  return { direction: cursor.d, values };
+}
+
+// Rows strictly after the boundary in the walk order:
+// (a > va) OR (a = va AND b > vb) OR ..., with > flipped to < for descending keys
+function keysetFilter(keys, values, forward) {
+  const or = keys.map((key, i) => {
+    const clause = {};
+    for (let j = 0; j < i; j++) {
+      clause[keys[j].field] = values[j];
+    }
+    const ascending = (key.order === 1) === forward;
+    clause[key.field] = { [ascending ? '$gt' : '$lt']: values[i] };
+    return clause;
+  });
+  return { $or: or };
+}
+
+function sortSpec(keys, forward) {
+  const sort = {};
+  keys.forEach(({ field, order }) => { sort[field] = forward ? order : -order; });
+  return sort;
+}
+
+// One page: { data, next, prev, limit }. model: a mongoose model; filter: the list's own filter.
+// Fetches limit + 1 rows to learn whether there is another page without counting.
+async function findPage(model, { filter = {}, keys, limit, cursor, select }) {
+  const boundary = cursor ? decodeCursor(cursor, keys) : null;
+  const forward = !boundary || boundary.direction === 'next';
+  const query = boundary ? { $and: [filter, keysetFilter(keys, boundary.values, forward)] } : filter;
+
+  let find = model.find(query).sort(sortSpec(keys, forward)).limit(limit + 1).lean();
+  if (select) {
+    find = find.select(select);
+  }
+  const rows = await find;
+  const hasMore = rows.length > limit;
+  const data = rows.slice(0, limit);
+  if (!forward) {
+    data.reverse();
+  }
+
+  // Walking forward we know there's more ahead; walking back we know there's more behind.
+  // The other side exists whenever we came from a cursor.
+  const first = data[0];
+  const last = data[data.length - 1];
+  const moreAhead = forward ? hasMore : Boolean(boundary);
+  const moreBehind = forward ? Boolean(boundary) : hasMore;
+  return {
+    data,
+    next: last && moreAhead ? encodeCursor('next', keys, last) : null,
+    prev: first && moreBehind ? encodeCursor('prev', keys, first) : null,
+    limit
+  };
+}
+
+module.exports = {
+  wantsCursor,
+  encodeCursor,
+  decodeCursor,
+  findPage
+};
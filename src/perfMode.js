@@ -0,0 +1,23 @@
+// Every deliberate inefficiency has an optimized twin next to it.
+// The mode is picked per request so one load run can compare both side by side.
+const MODES = ['naive', 'optimized'];
+const DEFAULT_MODE = MODES.includes(process.env.PERF_MODE) ? process.env.PERF_MODE : 'naive';
+
+// Selected with the X-Perf-Mode header or the ?perfMode= query flag
+function perfModeMiddleware(req, res, next) {
+  const requested = String(req.get('X-Perf-Mode') || req.query.perfMode || '').toLowerCase();
+  req.perfMode = MODES.includes(requested) ? requested : DEFAULT_MODE;
+  res.set('X-Perf-Mode', req.perfMode);
+  next();
+}
+
+function isOptimized(req) {
+  return req.perfMode === 'optimized';
+}
+
+module.exports = {
+  MODES,
+  DEFAULT_MODE,
+  perfModeMiddleware,
+  isOptimized
+};
@@ -0,0 +1,196 @@
+// Distributed rate limiting: every instance shares counters in Redis, and each algorithm
+// is a Lua script so the read-modify-write happens atomically on the server.
+// Scripts use Redis TIME so instances with skewed clocks still agree.
+const crypto = require('crypto');
+const config = require('./config/rateLimits');
+const { matchesPathRule } = require('./routeTemplate');
+const { rateLimitDecisions } = require('./metrics');
+const { TooManyRequestsError, ServiceUnavailableError } = require('./errors');
+
+// Every script returns { allowed (0/1), remaining, resetMs, retryAfterMs }
+const SCRIPTS = {
+  // KEYS[1] hash { tokens, ts }; ARGV: capacity, refill per second
+  'token-bucket': `
+    local capacity = tonumber(ARGV[1])
+    local rate = tonumber(ARGV[2])
+    local time = redis.call('TIME')
+    local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+    local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+    local tokens = tonumber(bucket[1]) or capacity
+    local ts = tonumber(bucket[2]) or now
+    tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate / 1000)
+    local allowed = 0
+    if tokens >= 1 then
+      tokens = tokens - 1
+      allowed = 1
+    end
+    redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+    redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / rate * 1000))
+    local retryAfter = 0
+    if allowed == 0 then
+      retryAfter = math.ceil((1 - tokens) / rate * 1000)
+    end
+    return { allowed, math.floor(tokens), math.ceil((capacity - tokens) / rate * 1000), retryAfter }
+  `,
+
+  // KEYS[1] counter for the current window; ARGV: limit, window ms
+  'fixed-window': `
+    local limit = tonumber(ARGV[1])
+    local count = redis.call('INCR', KEYS[1])
+    if count == 1 then
+      redis.call('PEXPIRE', KEYS[1], ARGV[2])
+    end
+    local ttl = redis.call('PTTL', KEYS[1])
+    if count <= limit then
+      return { 1, limit - count, ttl, 0 }
+    end
+    return { 0, 0, ttl, ttl }
+  `,
+
+  // KEYS[1] sorted set of request timestamps; ARGV: limit, window ms, unique member
+  'sliding-log': `
+    local limit = tonumber(ARGV[1])
+    local window = tonumber(ARGV[2])
+    local time = redis.call('TIME')
+    local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+    redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+    local count = redis.call('ZCARD', KEYS[1])
+    local allowed = 0
+    if count < limit then
+      redis.call('ZADD', KEYS[1], now, ARGV[3])
+      count = count + 1
+      allowed = 1
+    end
+    redis.call('PEXPIRE', KEYS[1], window)
+    local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+    local reset = window
+    if oldest[2] then
+      reset = math.max(0, tonumber(oldest[2]) + window - now)
+    end
+    local retryAfter = 0
+    if allowed == 0 then
+      retryAfter = reset
+    end
+    return { allowed, limit - count, reset, retryAfter }
+  `
+};
+
+const COMMANDS = {
+  'token-bucket': 'rateLimitTokenBucket',
+  'fixed-window': 'rateLimitFixedWindow',
+  'sliding-log': 'rateLimitSlidingLog'
+};
+
+// defineCommand loads each script once (EVALSHA, falling back to EVAL)
+const prepared = new WeakSet();
+function prepare(redis) {
+  if (!prepared.has(redis)) {
+    Object.entries(COMMANDS).forEach(([algorithm, command]) => {
+      redis.defineCommand(command, { numberOfKeys: 1, lua: SCRIPTS[algorithm] });
+    });
+    prepared.add(redis);
+  }
+}
+
+function ruleName(rule) {
+  return rule.name || `${rule.method || '*'} ${rule.path}`;
+}
+
+// API keys are hashed so they never end up in Redis key names or logs
+function clientKey(req, rule) {
+  const apiKey = rule.by === 'apiKey' && req.get(config.apiKeyHeader);
+  if (apiKey) {
+    return { id: `key:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16)}`, apiKey };
+  }
+  return { id: `ip:${req.ip}`, apiKey: null };
+}
+
+function limitsFor(rule, apiKey) {
+  const multiplier = (apiKey && config.clientMultipliers[apiKey]) || 1;
+  if (rule.algorithm === 'token-bucket') {
+    return { limit: Math.floor(rule.capacity * multiplier), args: [rule.capacity * multiplier, rule.refillPerSecond * multiplier] };
+  }
+  const limit = Math.floor(rule.limit * multiplier);
+  const windowMs = rule.windowSeconds * 1000;
+  const args = [limit, windowMs];
+  if (rule.algorithm === 'sliding-log') {
+    args.push(`${Date.now()}-${crypto.randomBytes(6).toString('hex')}`);
+  }
+  return { limit, args };
+}
+
+// "capacity;w=window" per the IETF RateLimit header draft
+function policyHeader(rule, limit) {
+  const windowSeconds = rule.algorithm === 'token-bucket'
+    ? Math.ceil(limit / rule.refillPerSecond)
+    : rule.windowSeconds;
+  return `${limit};w=${windowSeconds}`;
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Rate limiter timed out after ${timeoutMs}ms`)), timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function check(redis, rule, req) {
+  if (redis.status !== 'ready') {
+    throw new Error(`Redis is ${redis.status}`);
+  }
+  prepare(redis);
+  const client = clientKey(req, rule);
+  const { limit, args } = limitsFor(rule, client.apiKey);
+  const key = `ratelimit:${ruleName(rule)}:${client.id}`;
+  const [allowed, remaining, resetMs, retryAfterMs] = await withTimeout(
+    redis[COMMANDS[rule.algorithm]](key, ...args),
+    config.redisTimeoutMs
+  );
+  return { allowed: allowed === 1, limit, remaining: Math.max(0, remaining), resetMs, retryAfterMs };
+}
+
+async function rateLimitMiddleware(req, res, next) {
+  if (!config.enabled || config.exemptPaths.some(path => matchesPathRule({ path }, req))) {
+    return next();
+  }
+  const rule = config.rules.find(r => matchesPathRule(r, req));
+  if (!rule) {
+    return next();
+  }
+
+  const name = ruleName(rule);
+  let result;
+  try {
+    result = await check(req.redis, rule, req);
+  } catch (error) {
+    if (config.failMode === 'closed') {
+      rateLimitDecisions.labels(name, rule.algorithm, 'failed_closed').inc();
+      return next(new ServiceUnavailableError(`Rate limiter unavailable: ${error.message}`));
+    }
+    rateLimitDecisions.labels(name, rule.algorithm, 'failed_open').inc();
+    return next();
+  }
+
+  res.set({
+    'RateLimit-Policy': policyHeader(rule, result.limit),
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+  });
+
+  if (!result.allowed) {
+    rateLimitDecisions.labels(name, rule.algorithm, 'rejected').inc();
+    res.set('Retry-After', String(Math.max(1, Math.ceil(result.retryAfterMs / 1000))));
+    return next(new TooManyRequestsError('Too many requests', { rule: name }));
+  }
+  rateLimitDecisions.labels(name, rule.algorithm, 'allowed').inc();
+  next();
+}
+
+module.exports = {
+  SCRIPTS,
+  rateLimitMiddleware
+};
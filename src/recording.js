@@ -0,0 +1,187 @@
+// Opt-in traffic recording (RECORDING=on) for stress-test/replay.js. Each sampled API request
+// becomes one JSON line: method, route, path, query, allow-listed headers, sanitized body, its
+// time relative to when recording started, and how the app answered it. Files rotate by size
+// and only the newest RECORDING_MAX_FILES are kept.
+//
+// Every file starts with a header line { recording, startedAt, pid, sampleRate, part } that
+// anchors the relative times, so files from several cluster workers can be merged.
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { routeTemplate, matchesPathRule } = require('./routeTemplate');
+const { recordedRequests } = require('./metrics');
+const { logger } = require('./logger');
+const { sanitize } = require('./redact');
+
+const RECORDING_ENABLED = process.env.RECORDING === 'on';
+const RECORDING_DIR = path.resolve(process.env.RECORDING_DIR || 'recordings');
+const SAMPLE_RATE = process.env.RECORDING_SAMPLE_RATE === undefined ? 1 : parseFloat(process.env.RECORDING_SAMPLE_RATE);
+const MAX_FILE_BYTES = (parseFloat(process.env.RECORDING_MAX_FILE_MB) || 50) * 1024 * 1024;
+const MAX_FILES = parseInt(process.env.RECORDING_MAX_FILES) || 20;
+const MAX_BODY_BYTES = (parseInt(process.env.RECORDING_MAX_BODY_KB) || 64) * 1024;
+
+// Recording must never slow requests down: past this much unflushed output, records are dropped
+const MAX_BUFFERED_BYTES = 8 * 1024 * 1024;
+
+// Only these request headers are kept; cookies, authorization and API keys never are
+const HEADER_ALLOW_LIST = (process.env.RECORDING_HEADERS
+  || 'content-type,accept,accept-encoding,if-match,if-none-match,idempotency-key,x-perf-mode')
+  .split(',')
+  .map(header => header.trim().toLowerCase())
+  .filter(Boolean);
+
+// The API, minus its control plane
+const RECORDED_PATHS = ['/api'];
+const EXEMPT_PATHS = ['/api/scenarios'];
+
+const FILE_PATTERN = /^recording-.+\.jsonl$/;
+
+// The raw query string as { key: value | [values] }; unlike req.query it round-trips exactly
+function parseQuery(url) {
+  const query = {};
+  const index = url.indexOf('?');
+  if (index === -1) {
+    return query;
+  }
+  for (const [key, value] of new URLSearchParams(url.slice(index + 1))) {
+    if (key in query) {
+      query[key] = [].concat(query[key], value);
+    } else {
+      query[key] = value;
+    }
+  }
+  return query;
+}
+
+function pickHeaders(req) {
+  const headers = {};
+  HEADER_ALLOW_LIST.forEach(name => {
+    if (req.headers[name] !== undefined) {
+      headers[name] = req.headers[name];
+    }
+  });
+  return headers;
+}
+
+// Only JSON bodies (as parsed by express.json) can be replayed; others are noted as omitted
+function recordBody(req, record) {
+  const hasBody = req.headers['content-length'] > 0 || req.headers['transfer-encoding'] !== undefined;
+  if (!hasBody) {
+    return;
+  }
+  if (!req.is('json')) {
+    record.bodyOmitted = 'content-type';
+    return;
+  }
+  const body = sanitize(req.body);
+  if (Buffer.byteLength(JSON.stringify(body)) > MAX_BODY_BYTES) {
+    record.bodyOmitted = 'size';
+    return;
+  }
+  record.body = body;
+}
+
+class RecordingWriter {
+  constructor(dir) {
+    this.dir = dir;
+    this.startedAt = new Date();
+    this.origin = performance.now();
+    this.stamp = this.startedAt.toISOString().replace(/[:.]/g, '-');
+    this.part = 0;
+    this.stream = null;
+    this.bytes = 0;
+  }
+
+  // Milliseconds since recording started
+  now() {
+    return Math.round((performance.now() - this.origin) * 1000) / 1000;
+  }
+
+  write(record) {
+    if (this.stream && this.stream.writableLength > MAX_BUFFERED_BYTES) {
+      return false;
+    }
+    const line = `${JSON.stringify(record)}\n`;
+    const bytes = Buffer.byteLength(line);
+    if (!this.stream || this.bytes + bytes > MAX_FILE_BYTES) {
+      this.rotate();
+    }
+    this.stream.write(line);
+    this.bytes += bytes;
+    return true;
+  }
+
+  rotate() {
+    if (this.stream) {
+      this.stream.end();
+    }
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.prune();
+    const part = this.part++;
+    const file = path.join(this.dir, `recording-${this.stamp}-${process.pid}-${String(part).padStart(4, '0')}.jsonl`);
+    const stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', error => {
+      logger.error('Failed to write recording', { component: 'recording', err: error });
+      if (this.stream === stream) {
+        this.stream = null;
+      }
+    });
+    this.stream = stream;
+    const header = `${JSON.stringify({ recording: 1, startedAt: this.startedAt.toISOString(), pid: process.pid, sampleRate: SAMPLE_RATE, part })}\n`;
+    stream.write(header);
+    this.bytes = Buffer.byteLength(header);
+  }
+
+  // Makes room for the next file, oldest first: names start with the recording's start time
+  prune() {
+    try {
+      const files = fs.readdirSync(this.dir).filter(name => FILE_PATTERN.test(name)).sort();
+      files.slice(0, Math.max(0, files.length - MAX_FILES + 1)).forEach(name => fs.unlinkSync(path.join(this.dir, name)));
+    } catch (error) {
+      logger.error('Failed to remove old recordings', { component: 'recording', err: error });
+    }
+  }
+}
+
+let writer = null;
+
+function recordingMiddleware(req, res, next) {
+  if (!RECORDING_ENABLED
+    || !RECORDED_PATHS.some(prefix => matchesPathRule({ path: prefix }, req))
+    || EXEMPT_PATHS.some(prefix => matchesPathRule({ path: prefix }, req))) {
+    return next();
+  }
+  if (Math.random() >= SAMPLE_RATE) {
+    recordedRequests.labels('sampled_out').inc();
+    return next();
+  }
+
+  writer = writer || new RecordingWriter(RECORDING_DIR);
+  const t = writer.now();
+  const record = {
+    t,
+    id: req.id,
+    method: req.method,
+    route: null,
+    path: req.originalUrl.split('?')[0],
+    query: sanitize(parseQuery(req.originalUrl)),
+    headers: pickHeaders(req)
+  };
+  recordBody(req, record);
+
+  // The route is only known, and the latency only measured, once the response is done
+  res.once('close', () => {
+    record.route = routeTemplate(req);
+    record.status = res.statusCode;
+    record.durationMs = Math.round((writer.now() - t) * 1000) / 1000;
+    if (!res.writableFinished) {
+      record.aborted = true;
+    }
+    recordedRequests.labels(writer.write(record) ? 'recorded' : 'dropped').inc();
+  });
+  next();
+}
+
+module.exports = {
+  recordingMiddleware
+};
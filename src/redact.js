@@ -0,0 +1,39 @@
+// Secrets that arrive with a request (a password in a body, ?token= in a URL) must not reach
+// recordings, logs or traces.
+
+// Body and query fields whose values are replaced, at any depth
+const SENSITIVE_FIELD = /pass(word)?|secret|token|api[-_]?key|authorization|credit|card|cvv|ssn/i;
+const REDACTED = '[redacted]';
+
+function sanitize(value) {
+  if (Array.isArray(value)) {
+    return value.map(sanitize);
+  }
+  if (value && typeof value === 'object') {
+    const clean = {};
+    Object.entries(value).forEach(([key, field]) => {
+      clean[key] = SENSITIVE_FIELD.test(key) ? REDACTED : sanitize(field);
+    });
+    return clean;
+  }
+  return value;
+}
+
+// The URL with the values of sensitive query parameters replaced; everything else is kept as sent
+function redactUrl(url) {
+  const index = url.indexOf('?');
+  if (index === -1) {
+    return url;
+  }
+  const pairs = url.slice(index + 1).split('&').map(pair => {
+    // Decoded like the app decodes it, so "tok%65n" is caught too
+    const [key] = new URLSearchParams(pair).keys();
+    return key !== undefined && SENSITIVE_FIELD.test(key) ? `${pair.split('=')[0]}=${REDACTED}` : pair;
+  });
+  return `${url.slice(0, index)}?${pairs.join('&')}`;
+}
+
+module.exports = {
+  sanitize,
+  redactUrl
+};
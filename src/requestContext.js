@@ -0,0 +1,68 @@
+// Per-request async context, so code deep in a call chain can tell which request it serves
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { routeTemplate, captureRouteBase } = require('./routeTemplate');
+const { redactUrl } = require('./redact');
+
+const storage = new AsyncLocalStorage();
+
+// Requests currently being handled, for tools that need a view across all of them
+const inFlight = new Set();
+
+// Keep a caller's X-Request-Id when it looks sane, otherwise mint one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function requestId(req) {
+  const provided = req.get('X-Request-Id');
+  return provided && REQUEST_ID_PATTERN.test(provided) ? provided : crypto.randomUUID();
+}
+
+function requestContextMiddleware(req, res, next) {
+  captureRouteBase(req);
+  req.id = requestId(req);
+  res.set('X-Request-Id', req.id);
+  const context = {
+    id: req.id,
+    method: req.method,
+    // Reported by the blocked-loop watchdog, so secrets in the query are redacted
+    path: redactUrl(req.originalUrl),
+    startedAt: Date.now(),
+    // Resolved lazily: the route is only known once Express has matched it
+    get route() {
+      return routeTemplate(req);
+    }
+  };
+  inFlight.add(context);
+  res.once('close', () => inFlight.delete(context));
+  storage.run(context, next);
+}
+
+function getRequestContext() {
+  return storage.getStore();
+}
+
+function getInFlightRequests() {
+  return Array.from(inFlight);
+}
+
+// Aborts when the client goes away before the response has been sent
+function clientAbortSignal(res) {
+  const controller = new AbortController();
+  res.once('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+// The watchdog evaluates this from the inspector while the main thread is paused,
+// where module scope is out of reach but globals are not
+globalThis[Symbol.for('perf-lab.requestContext')] = () => JSON.stringify(getRequestContext() || null);
+
+module.exports = {
+  requestContextMiddleware,
+  getRequestContext,
+  getInFlightRequests,
+  clientAbortSignal
+};
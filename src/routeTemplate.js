@@ -0,0 +1,73 @@
+function joinTemplate(baseUrl, routePath) {
+  return baseUrl + (baseUrl && routePath === '/' ? '' : routePath);
+}
+
+// The route template that would handle method + path, looked up in the app's router stack
+// without dispatching anything
+function findTemplate(stack, path, method, baseUrl) {
+  for (const layer of stack) {
+    if (!layer.match(path)) {
+      continue;
+    }
+    if (layer.route) {
+      if (layer.route._handles_method(method)) {
+        return joinTemplate(baseUrl, String(layer.route.path));
+      }
+    } else if (layer.handle && Array.isArray(layer.handle.stack) && layer.path) {
+      const found = findTemplate(layer.handle.stack, path.slice(layer.path.length) || '/', method, baseUrl + layer.path);
+      if (found) {
+        return found;
+      }
+    }
+  }
+  return null;
+}
+
+// The matched Express route template ("/api/orders/:id") rather than the raw path,
+// so per-id URLs don't create a new time series each
+function routeTemplate(req) {
+  if (req.route) {
+    const baseUrl = req.routeBaseUrl !== undefined ? req.routeBaseUrl : req.baseUrl || '';
+    return joinTemplate(baseUrl, String(req.route.path));
+  }
+  // Answered by router-level middleware
+  if (req.baseUrl) {
+    return `${req.baseUrl}/*`;
+  }
+  // Answered before routing (shed by admission control, rate limited): the route it would
+  // have reached, so it counts against that route; otherwise it matched nothing
+  if (req.unroutedTemplate === undefined) {
+    const router = req.app && req.app._router;
+    req.unroutedTemplate = (router && findTemplate(router.stack, req.path, req.method, '')) || 'unmatched';
+  }
+  return req.unroutedTemplate;
+}
+
+// Express resets req.baseUrl once a request leaves its router (next(error) does), so errors
+// would be labelled "/:id" with no mount path. Capture the mount path when a route matches.
+function captureRouteBase(req) {
+  let route;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get() {
+      return route;
+    },
+    set(value) {
+      route = value;
+      req.routeBaseUrl = req.baseUrl || '';
+    }
+  });
+}
+
+// Config rules ({ method?, path }) match their path and everything below it, before routing has run
+function matchesPathRule(rule, req) {
+  return (!rule.method || rule.method === req.method) &&
+    (req.path === rule.path || req.path.startsWith(`${rule.path}/`));
+}
+
+module.exports = {
+  routeTemplate,
+  captureRouteBase,
+  matchesPathRule
+};
@@ -0,0 +1,326 @@
+// Sales analytics over orders, one aggregation pipeline per report.
+// Every report takes a [from, to) createdAt range (default: the last 30 days) and ?explain=true,
+// which skips the cache and returns the pipeline with its executionStats plan instead of rows.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { dbQueryDuration } = require('../metrics');
+const { isOptimized } = require('../perfMode');
+const { cached } = require('../cache');
+const { validate } = require('../validation');
+const { ValidationError } = require('../errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// Ranges that reach into the last day still change as orders come in; older ones rarely do
+const LIVE_TTL = parseInt(process.env.ANALYTICS_LIVE_TTL_SECONDS) || 60;
+const HISTORICAL_TTL = parseInt(process.env.ANALYTICS_HISTORICAL_TTL_SECONDS) || 3600;
+
+// Order of the happy path; cancelled orders drop out wherever they were
+const FUNNEL = ['pending', 'processing', 'shipped', 'delivered'];
+
+const rangeQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  explain: { type: 'boolean', default: false }
+};
+
+const revenueQuery = {
+  ...rangeQuery,
+  interval: { type: 'string', enum: ['day', 'week'], default: 'day' }
+};
+
+const topProductsQuery = {
+  ...rangeQuery,
+  by: { type: 'string', enum: ['revenue', 'quantity'], default: 'revenue' },
+  limit: { type: 'integer', min: 1, max: 100, default: 10 }
+};
+
+const lifetimeValueQuery = {
+  ...rangeQuery,
+  userId: { type: 'objectId' },
+  limit: { type: 'integer', min: 1, max: 100, default: 20 }
+};
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// { from, to } as Dates; to defaults to now and from to DEFAULT_RANGE_DAYS before it
+function dateRange({ from, to }) {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (start >= end) {
+    throw new ValidationError('Request validation failed', [
+      { location: 'query', field: 'from', message: 'must be before to' }
+    ]);
+  }
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw new ValidationError('Request validation failed', [
+      { location: 'query', field: 'from', message: `range must be at most ${MAX_RANGE_DAYS} days` }
+    ]);
+  }
+  return { from: start, to: end };
+}
+
+function ttlFor(range) {
+  return Date.now() - range.to.getTime() > DAY_MS ? HISTORICAL_TTL : LIVE_TTL;
+}
+
+function collectionName(model) {
+  return mongoose.model(model).collection.name;
+}
+
+// Revenue only counts orders that weren't cancelled
+function revenueMatch(range) {
+  return { $match: { createdAt: { $gte: range.from, $lt: range.to }, status: { $ne: 'cancelled' } } };
+}
+
+// Run one report: cached by range and parameters, or explained when asked
+function report(name, { model = 'Order', pipeline, shape, params = () => [] }) {
+  return async (req, res, next) => {
+    try {
+      const range = dateRange(req.query);
+      const stages = pipeline(range, req.query, req);
+      const Model = mongoose.model(model);
+
+      if (req.query.explain) {
+        const startTime = Date.now();
+        const plan = await Model.aggregate(stages).allowDiskUse(true).explain('executionStats');
+        dbQueryDuration.labels(`${name}Explain`, Model.collection.name, req.perfMode).observe((Date.now() - startTime) / 1000);
+        return res.json({ report: name, range, pipeline: stages, explain: plan });
+      }
+
+      // A range without an explicit end follows "now", so it's keyed as such (and is live).
+      // Pipelines may differ per perf mode, so each mode gets its own result and timings.
+      const rangeKey = `${req.query.from ? range.from.toISOString() : 'default'}:${req.query.to ? range.to.toISOString() : 'now'}`;
+      const result = await cached(req.redis, {
+        namespace: 'analytics',
+        key: [name, req.perfMode, rangeKey, ...params(req.query)].join(':'),
+        ttl: ttlFor(range),
+        staleWhileRevalidate: 30
+      }, async () => {
+        const startTime = Date.now();
+        const rows = await Model.aggregate(stages).allowDiskUse(true);
+        dbQueryDuration.labels(name, Model.collection.name, req.perfMode).observe((Date.now() - startTime) / 1000);
+        return { range, ...shape(rows, req.query) };
+      });
+
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// GET revenue and order count per day or week (UTC, weeks start on Monday). Periods with
+// no orders are left out.
+router.get('/revenue', validate({ query: revenueQuery }), report('revenueByPeriod', {
+  params: query => [query.interval],
+  pipeline: (range, { interval }) => [
+    revenueMatch(range),
+    { $group: {
+      _id: { $dateTrunc: { date: '$createdAt', unit: interval, startOfWeek: 'monday' } },
+      revenue: { $sum: '$totalAmount' },
+      orders: { $sum: 1 }
+    } },
+    { $sort: { _id: 1 } }
+  ],
+  shape: (rows, { interval }) => {
+    const revenue = rows.reduce((sum, row) => sum + row.revenue, 0);
+    const orders = rows.reduce((sum, row) => sum + row.orders, 0);
+    return {
+      interval,
+      totals: { revenue: round(revenue), orders, averageOrderValue: orders ? round(revenue / orders) : 0 },
+      periods: rows.map(row => ({
+        period: row._id,
+        revenue: round(row.revenue),
+        orders: row.orders,
+        averageOrderValue: round(row.revenue / row.orders)
+      }))
+    };
+  }
+}));
+
+// GET best-selling products by revenue or units sold
+router.get('/top-products', validate({ query: topProductsQuery }), report('topProducts', {
+  params: query => [query.by, query.limit],
+  pipeline: (range, { by, limit }) => [
+    revenueMatch(range),
+    { $unwind: '$items' },
+    { $group: {
+      _id: '$items.productId',
+      quantity: { $sum: '$items.quantity' },
+      revenue: { $sum: { $multiply: ['$items.quantity', '$items.price'] } },
+      orders: { $sum: 1 }
+    } },
+    { $sort: { [by]: -1, _id: 1 } },
+    { $limit: limit },
+    // Only the page's products are looked up, after the sort and limit
+    { $lookup: {
+      from: collectionName('Product'),
+      localField: '_id',
+      foreignField: '_id',
+      pipeline: [{ $project: { name: 1, category: 1 } }],
+      as: 'product'
+    } },
+    { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } }
+  ],
+  shape: (rows, { by }) => ({
+    by,
+    products: rows.map(row => ({
+      productId: row._id,
+      name: row.product ? row.product.name : null,
+      category: row.product ? row.product.category || null : null,
+      quantity: row.quantity,
+      revenue: round(row.revenue),
+      orders: row.orders
+    }))
+  })
+}));
+
+// GET revenue per product category, joining order items to their products.
+// naive: looks up the product of every order line.
+// optimized: totals per product first, so each product is looked up once.
+router.get('/revenue-by-category', validate({ query: rangeQuery }), report('revenueByCategory', {
+  pipeline: (range, query, req) => {
+    const lookup = localField => ({ $lookup: {
+      from: collectionName('Product'),
+      localField,
+      foreignField: '_id',
+      pipeline: [{ $project: { category: 1 } }],
+      as: 'product'
+    } });
+    const category = { $ifNull: [{ $first: '$product.category' }, 'uncategorized'] };
+
+    if (!isOptimized(req)) {
+      return [
+        revenueMatch(range),
+        { $unwind: '$items' },
+        lookup('items.productId'),
+        { $group: {
+          _id: category,
+          revenue: { $sum: { $multiply: ['$items.quantity', '$items.price'] } },
+          quantity: { $sum: '$items.quantity' }
+        } },
+        { $sort: { revenue: -1, _id: 1 } }
+      ];
+    }
+    return [
+      revenueMatch(range),
+      { $unwind: '$items' },
+      { $group: {
+        _id: '$items.productId',
+        revenue: { $sum: { $multiply: ['$items.quantity', '$items.price'] } },
+        quantity: { $sum: '$items.quantity' }
+      } },
+      lookup('_id'),
+      { $group: { _id: category, revenue: { $sum: '$revenue' }, quantity: { $sum: '$quantity' } } },
+      { $sort: { revenue: -1, _id: 1 } }
+    ];
+  },
+  shape: rows => {
+    const total = rows.reduce((sum, row) => sum + row.revenue, 0);
+    return {
+      totalRevenue: round(total),
+      categories: rows.map(row => ({
+        category: row._id,
+        revenue: round(row.revenue),
+        quantity: row.quantity,
+        share: total ? round(row.revenue / total) : 0
+      }))
+    };
+  }
+}));
+
+// GET how far orders placed in the range got: current status counts, plus how many reached each
+// step of the funnel. Earlier steps are implied by later ones, so orders without a status
+// history still count; a cancelled order counts up to the furthest step in its history.
+router.get('/status-funnel', validate({ query: rangeQuery }), report('statusFunnel', {
+  pipeline: range => [
+    { $match: { createdAt: { $gte: range.from, $lt: range.to } } },
+    { $project: {
+      status: 1,
+      furthest: { $max: { $map: {
+        input: { $setUnion: [{ $ifNull: ['$statusHistory.to', []] }, ['$status', FUNNEL[0]]] },
+        in: { $indexOfArray: [FUNNEL, '$$this'] }
+      } } }
+    } },
+    { $facet: {
+      statuses: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+      furthest: [{ $group: { _id: '$furthest', count: { $sum: 1 } } }]
+    } }
+  ],
+  shape: ([result]) => {
+    const statuses = Object.fromEntries([...FUNNEL, 'cancelled'].map(status => [status, 0]));
+    result.statuses.forEach(({ _id, count }) => { statuses[_id] = count; });
+    const total = result.statuses.reduce((sum, { count }) => sum + count, 0);
+
+    const funnel = FUNNEL.map((status, step) => ({
+      status,
+      reached: result.furthest.filter(({ _id }) => _id >= step).reduce((sum, { count }) => sum + count, 0)
+    }));
+    funnel.forEach((step, i) => {
+      step.rateFromPrevious = i === 0 ? 1 : (funnel[i - 1].reached ? round(step.reached / funnel[i - 1].reached) : 0);
+      step.rateFromPlaced = total ? round(step.reached / total) : 0;
+    });
+    return { total, statuses, funnel };
+  }
+}));
+
+// GET customers ranked by what they spent in the range (or one customer with ?userId=)
+router.get('/customer-lifetime-value', validate({ query: lifetimeValueQuery }), report('customerLifetimeValue', {
+  params: query => [query.userId || 'all', query.limit],
+  pipeline: (range, { userId, limit }) => [
+    { $match: {
+      ...revenueMatch(range).$match,
+      ...(userId && { userId: new mongoose.Types.ObjectId(userId) })
+    } },
+    { $group: {
+      _id: '$userId',
+      revenue: { $sum: '$totalAmount' },
+      orders: { $sum: 1 },
+      firstOrderAt: { $min: '$createdAt' },
+      lastOrderAt: { $max: '$createdAt' }
+    } },
+    { $facet: {
+      summary: [{ $group: { _id: null, customers: { $sum: 1 }, revenue: { $sum: '$revenue' }, orders: { $sum: '$orders' } } }],
+      customers: [
+        { $sort: { revenue: -1, _id: 1 } },
+        { $limit: limit },
+        { $lookup: {
+          from: collectionName('User'),
+          localField: '_id',
+          foreignField: '_id',
+          pipeline: [{ $project: { username: 1, email: 1 } }],
+          as: 'user'
+        } }
+      ]
+    } }
+  ],
+  shape: ([result]) => {
+    const summary = result.summary[0] || { customers: 0, revenue: 0, orders: 0 };
+    return {
+      summary: {
+        customers: summary.customers,
+        revenue: round(summary.revenue),
+        averageLifetimeValue: summary.customers ? round(summary.revenue / summary.customers) : 0,
+        averageOrdersPerCustomer: summary.customers ? round(summary.orders / summary.customers) : 0
+      },
+      customers: result.customers.map(row => ({
+        userId: row._id,
+        username: row.user[0] ? row.user[0].username : null,
+        email: row.user[0] ? row.user[0].email : null,
+        revenue: round(row.revenue),
+        orders: row.orders,
+        averageOrderValue: round(row.revenue / row.orders),
+        firstOrderAt: row.firstOrderAt,
+        lastOrderAt: row.lastOrderAt
+      }))
+    };
+  }
+}));
+
+module.exports = router;
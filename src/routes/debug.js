@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const {
+  MAX_PROFILE_SECONDS,
+  captureCpuProfile,
+  captureHeapSnapshot,
+  listCaptures,
+  capturePath,
+  getActiveCapture
+} = require('../monitoring/profiler');
+const { getRecentTraces, getTrace } = require('../tracing/exporter');
+const { renderWaterfallPage } = require('../tracing/viewer');
+const { ValidationError, UnauthorizedError, ForbiddenError, NotFoundError } = require('../errors');
+
+// Debug endpoints expose process internals: they stay disabled until DEBUG_TOKEN is set
+function requireDebugToken(req, res, next) {
+  const expected = process.env.DEBUG_TOKEN;
+  if (!expected) {
+    return next(new ForbiddenError('Debug endpoints are disabled (set DEBUG_TOKEN to enable)'));
+  }
+
+  // ?token= lets the HTML views open straight in a browser; src/redact.js keeps it out of logs and traces
+  const header = req.get('Authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : req.get('X-Debug-Token') || req.query.token || '';
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return next(new UnauthorizedError('Invalid debug token'));
+  }
+  next();
+}
+
+router.use(requireDebugToken);
+
+// GET CPU profile for N seconds
+router.get('/profile', async (req, res, next) => {
+  const seconds = req.query.seconds === undefined ? 10 : Number(req.query.seconds);
+  if (!Number.isFinite(seconds) || seconds <= 0 || seconds > MAX_PROFILE_SECONDS) {
+    return next(new ValidationError(`seconds must be between 0 and ${MAX_PROFILE_SECONDS}`));
+  }
+
+  try {
+    res.json(await captureCpuProfile(seconds));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET heap snapshot
+router.get('/heapsnapshot', async (req, res, next) => {
+  try {
+    res.json(await captureHeapSnapshot());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET previous captures
+router.get('/captures', async (req, res, next) => {
+  try {
+    res.json({ active: getActiveCapture(), captures: await listCaptures() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET download a capture (open .cpuprofile in Chrome DevTools, .heapsnapshot in the Memory tab)
+router.get('/captures/:file', (req, res, next) => {
+  const file = capturePath(req.params.file);
+  if (!file) {
+    return next(new ValidationError('Invalid capture name'));
+  }
+
+  res.download(file, error => {
+    if (error) {
+      next(error.code === 'ENOENT' ? new NotFoundError('Capture not found') : error);
+    }
+  });
+});
+
+// GET recent slow traces as a waterfall (?format=json for the raw OTLP spans)
+router.get('/traces', (req, res, next) => {
+  const minMs = req.query.minMs === undefined ? parseFloat(process.env.TRACE_SLOW_MS) || 100 : Number(req.query.minMs);
+  const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+  if (!Number.isFinite(minMs) || minMs < 0) {
+    return next(new ValidationError('minMs must be a non-negative number'));
+  }
+
+  const traces = getRecentTraces({ minMs, limit });
+  if (req.query.format === 'json') {
+    return res.json(traces);
+  }
+  res.type('html').send(renderWaterfallPage(traces, { minMs }));
+});
+
+// GET a single recent trace
+router.get('/traces/:traceId', (req, res, next) => {
+  const trace = getTrace(req.params.traceId);
+  if (!trace) {
+    return next(new NotFoundError('Trace not found'));
+  }
+  if (req.query.format === 'json') {
+    return res.json(trace);
+  }
+  res.type('html').send(renderWaterfallPage([trace], { minMs: 0 }));
+});
+
+module.exports = router;
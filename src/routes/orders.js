@@ -1,186 +1,425 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const { v4: uuidv4 } = require('uuid');
-const { dbQueryDuration, cacheHitRate } = require('../metrics');
-const { createBottleneck } = require('../bottlenecks/scenarios');
-
-// Order Schema
-const orderSchema = new mongoose.Schema({
-  orderId: { type: String, unique: true, default: uuidv4 },
-  userId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
-  items: [{
-    productId: mongoose.Schema.Types.ObjectId,
-    quantity: Number,
-    price: Number
-  }],
-  totalAmount: { type: Number, required: true },
-  status: { type: String, enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'], default: 'pending' },
-  shippingAddress: {
-    street: String,
-    city: String,
-    zipCode: String,
-    country: String
-  },
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
-});
+const { dbQueryDuration, orderTransitions } = require('../metrics');
+const { createBottleneck, SCENARIO_NAMES } = require('../bottlenecks/scenarios');
+const { isOptimized } = require('../perfMode');
+const { cached, useL1, invalidateEntity, invalidateNamespace } = require('../cache');
+const { validate } = require('../validation');
+const { idempotent } = require('../idempotency');
+const { wantsCursor, findPage } = require('../pagination');
+const { exportQuery, sendExport } = require('../export');
+const { NotFoundError, ConflictError, UnprocessableError } = require('../errors');
+const { Order, ORDER_STATUSES } = require('../models/order');
 
-const Order = mongoose.model('Order', orderSchema);
+// Allowed next states; cancelling is only possible before the order ships
+const TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
 
-// GET all orders with pagination and filtering
-router.get('/', async (req, res) => {
-  const startTime = Date.now();
-  const { status, userId, page = 1, limit = 10 } = req.query;
-  const skip = (parseInt(page) - 1) * parseInt(limit);
+const PAGE_KEYS = [
+  { field: 'createdAt', order: -1, type: 'date' },
+  { field: '_id', order: -1, type: 'objectId' }
+];
 
-  try {
-    const cacheKey = `orders:${status || 'all'}:${userId || 'all'}:${page}:${limit}`;
-    const cached = await req.redis.get(cacheKey);
-    
-    if (cached) {
-      cacheHitRate.labels('get', 'hit').inc();
-      return res.json(JSON.parse(cached));
-    }
-    
-    cacheHitRate.labels('get', 'miss').inc();
+const idParams = {
+  id: { type: 'objectId', required: true }
+};
 
-    // Build query
-    const query = {};
-    if (status) query.status = status;
-    if (userId) query.userId = userId;
+const listQuery = {
+  status: { type: 'string', enum: ORDER_STATUSES },
+  userId: { type: 'objectId' },
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, max: 100, default: 10 },
+  pagination: { type: 'string', enum: ['offset', 'cursor'] },
+  cursor: { type: 'string', maxLength: 512 }
+};
 
-    // Deliberate inefficient population (for learning)
-    const orders = await Order.find(query)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
+const listFilters = {
+  status: listQuery.status,
+  userId: listQuery.userId
+};
 
+// CSV columns; NDJSON exports carry whole orders, items included
+const EXPORT_COLUMNS = [
+  { header: 'orderId', value: order => order.orderId },
+  { header: 'id', value: order => order._id },
+  { header: 'userId', value: order => order.userId },
+  { header: 'status', value: order => order.status },
+  { header: 'totalAmount', value: order => order.totalAmount },
+  { header: 'itemCount', value: order => (order.items || []).length },
+  { header: 'city', value: order => order.shippingAddress && order.shippingAddress.city },
+  { header: 'country', value: order => order.shippingAddress && order.shippingAddress.country },
+  { header: 'createdAt', value: order => order.createdAt },
+  { header: 'updatedAt', value: order => order.updatedAt }
+];
+
+const createOrderBody = {
+  userId: { type: 'objectId', required: true },
+  items: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    maxItems: 100,
+    items: {
+      type: 'object',
+      properties: {
+        productId: { type: 'objectId', required: true },
+        quantity: { type: 'integer', required: true, min: 1, max: 1000 }
+      }
+    }
+  },
+  shippingAddress: { type: 'object' },
+  scenario: { type: 'string', enum: SCENARIO_NAMES },
+  scenarioParams: { type: 'object' }
+};
+
+const statusBody = {
+  status: { type: 'string', required: true, enum: ORDER_STATUSES },
+  reason: { type: 'string', maxLength: 500 }
+};
+
+// Attach username/email to each order, naive or optimized
+async function attachUserDetails(req, orders) {
+  const User = mongoose.model('User');
+  if (isOptimized(req)) {
+    // Optimized: one $in query for all users on the page
+    const userIds = [...new Set(orders.map(order => String(order.userId)))];
+    const users = await User.find({ _id: { $in: userIds } }).select('username email').lean();
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+    for (let order of orders) {
+      order.userDetails = usersById.get(String(order.userId)) || null;
+    }
+  } else {
     // Simulate N+1 problem by fetching user details for each order
     for (let order of orders) {
-      const User = mongoose.model('User');
       const user = await User.findById(order.userId).select('username email');
       order.userDetails = user;
     }
+  }
+  return orders;
+}
+
+// Status and user filters shared by the list and export endpoints
+function orderFilter({ status, userId }) {
+  const query = {};
+  if (status) query.status = status;
+  if (userId) query.userId = userId;
+  return query;
+}
+
+// GET all orders with pagination and filtering
+router.get('/', validate({ query: listQuery }), async (req, res, next) => {
+  const startTime = Date.now();
+  const { status, userId, page, limit, cursor } = req.query;
+  const skip = (page - 1) * limit;
+
+  try {
+    const query = orderFilter(req.query);
+    const filterKey = `${status || 'all'}:${userId || 'all'}`;
+
+    // Keyset pagination: { data, next, prev, limit }
+    if (wantsCursor(req.query)) {
+      const result = await cached(req.redis, {
+        namespace: 'orders',
+        key: `${req.perfMode}:${filterKey}:cursor:${cursor || 'first'}:${limit}`,
+        ttl: 120,
+        l1: useL1(req, 'orders')
+      }, async () => {
+        const pageResult = await findPage(Order, { filter: query, keys: PAGE_KEYS, limit, cursor });
+        await attachUserDetails(req, pageResult.data);
+        dbQueryDuration.labels('findKeyset', 'orders', req.perfMode).observe((Date.now() - startTime) / 1000);
+        return pageResult;
+      });
+      return res.json(result);
+    }
 
     // Cache for 2 minutes
-    await req.redis.setex(cacheKey, 120, JSON.stringify(orders));
+    const orders = await cached(req.redis, {
+      namespace: 'orders',
+      key: `${req.perfMode}:${filterKey}:${page}:${limit}`,
+      ttl: 120,
+      l1: useL1(req, 'orders')
+    }, async () => {
+      const found = await Order.find(query)
+        .skip(skip)
+        .limit(limit)
+        .lean();
+      await attachUserDetails(req, found);
+
+      dbQueryDuration.labels('find', 'orders', req.perfMode).observe((Date.now() - startTime) / 1000);
+      return found;
+    });
     
-    dbQueryDuration.labels('find', 'orders').observe((Date.now() - startTime) / 1000);
     res.json(orders);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// POST create order
-router.post('/', async (req, res) => {
-  const startTime = Date.now();
-  
+// GET every matching order as NDJSON or CSV (?format=), streamed from a cursor
+// or, with ?delivery=buffered, loaded in full first
+router.get('/export', validate({ query: { ...listFilters, ...exportQuery } }), async (req, res, next) => {
   try {
-    const { userId, items, shippingAddress, scenario } = req.body;
-    
-    // Apply bottleneck scenarios for learning
-    if (scenario) {
-      await createBottleneck(scenario);
+    await sendExport(req, res, {
+      model: Order,
+      filter: orderFilter(req.query),
+      sort: { createdAt: -1, _id: -1 },
+      select: '-__v',
+      columns: EXPORT_COLUMNS,
+      name: 'orders'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set each item's price and return the total, naive or optimized; unknown products are a 422
+async function priceItems(req, items, session) {
+  const Product = mongoose.model('Product');
+  const missing = [];
+  let totalAmount = 0;
+  if (isOptimized(req)) {
+    // Optimized: fetch every product price in a single $in query
+    const products = await Product.find({ _id: { $in: items.map(item => item.productId) } })
+      .select('price')
+      .session(session)
+      .lean();
+    const pricesById = new Map(products.map(product => [String(product._id), product.price]));
+    for (let item of items) {
+      const price = pricesById.get(String(item.productId));
+      if (price !== undefined) {
+        totalAmount += price * item.quantity;
+        item.price = price;
+      } else {
+        missing.push(item.productId);
+      }
     }
-    
+  } else {
     // Calculate total (inefficient way for learning)
-    let totalAmount = 0;
     for (let item of items) {
-      const Product = mongoose.model('Product');
-      const product = await Product.findById(item.productId);
+      const product = await Product.findById(item.productId).session(session);
       if (product) {
         totalAmount += product.price * item.quantity;
         item.price = product.price;
+      } else {
+        missing.push(item.productId);
       }
     }
+  }
+
+  if (missing.length) {
+    throw new UnprocessableError('Order references unknown products', missing.map(productId => ({
+      location: 'body',
+      field: 'items.productId',
+      message: `product ${productId} does not exist`
+    })));
+  }
+  return totalAmount;
+}
+
+// Decrement stock only where enough is left. Any shortfall is a 409 and aborts the transaction.
+async function reserveStock(quantities, session) {
+  const Product = mongoose.model('Product');
+  const short = [];
+  for (const [productId, quantity] of quantities) {
+    const result = await Product.updateOne(
+      { _id: productId, stock: { $gte: quantity } },
+      { $inc: { stock: -quantity, __v: 1 } },
+      { session }
+    );
+    if (result.modifiedCount === 0) {
+      const product = await Product.findById(productId).select('stock').session(session).lean();
+      short.push({
+        location: 'body',
+        field: 'items.quantity',
+        message: `product ${productId} has ${product ? product.stock : 0} in stock, ${quantity} requested`
+      });
+    }
+  }
+  if (short.length) {
+    throw new ConflictError('Insufficient stock', short);
+  }
+}
+
+// Put a cancelled order's items back in stock
+async function restoreStock(order, session) {
+  const Product = mongoose.model('Product');
+  const operations = order.items
+    .filter(item => item.productId && item.quantity)
+    .map(item => ({ updateOne: { filter: { _id: item.productId }, update: { $inc: { stock: item.quantity, __v: 1 } } } }));
+  if (operations.length) {
+    await Product.bulkWrite(operations, { session });
+  }
+}
+
+// Stock moved, so the products' own entries and the product lists showing them are stale
+async function invalidateProducts(req, productIds) {
+  for (const productId of productIds) {
+    await invalidateEntity(req.redis, 'product', String(productId));
+  }
+  await invalidateNamespace(req.redis, 'products', req.perfMode);
+}
+
+// POST create order (a retry with the same Idempotency-Key gets the original response)
+router.post('/', validate({ body: createOrderBody }), idempotent('orders'), async (req, res, next) => {
+  const startTime = Date.now();
+  
+  try {
+    const { userId, items, shippingAddress, scenario, scenarioParams } = req.body;
     
-    const order = new Order({
-      userId,
-      items,
-      totalAmount,
-      shippingAddress
-    });
-    
-    await order.save();
+    // Apply bottleneck scenarios for learning
+    if (scenario) {
+      await createBottleneck(scenario, scenarioParams);
+    }
     
-    // Invalidate caches
-    const keys = await req.redis.keys('orders:*');
-    if (keys.length) {
-      await req.redis.del(...keys);
+    // One reservation per product, even when it's listed twice
+    const quantities = new Map();
+    for (let item of items) {
+      const id = String(item.productId);
+      quantities.set(id, (quantities.get(id) || 0) + item.quantity);
+    }
+
+    // Prices, stock and the order commit or roll back together; withTransaction retries write conflicts
+    let order;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const totalAmount = await priceItems(req, items, session);
+        await reserveStock(quantities, session);
+        order = new Order({
+          userId,
+          items,
+          totalAmount,
+          shippingAddress,
+          statusHistory: [{ from: null, to: 'pending', at: new Date(), requestId: req.id }]
+        });
+        await order.save({ session });
+      });
+    } finally {
+      await session.endSession();
     }
     
-    dbQueryDuration.labels('insert', 'orders').observe((Date.now() - startTime) / 1000);
+    // Invalidate caches (product entries carry the stock we just changed)
+    await invalidateNamespace(req.redis, 'orders', req.perfMode);
+    await invalidateProducts(req, quantities.keys());
+    
+    dbQueryDuration.labels('insert', 'orders', req.perfMode).observe((Date.now() - startTime) / 1000);
     res.status(201).json(order);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
+// Single order with its user details, naive or optimized; null when not found
+async function findOrderWithUser(req, id) {
+  if (isOptimized(req)) {
+    // Optimized: order and user in one round-trip with $lookup
+    const [order] = await Order.aggregate([
+      { $match: { _id: new mongoose.Types.ObjectId(id) } },
+      { $lookup: {
+        from: mongoose.model('User').collection.name,
+        localField: 'userId',
+        foreignField: '_id',
+        pipeline: [{ $project: { username: 1, email: 1 } }],
+        as: 'userDetails'
+      } },
+      { $set: { userDetails: { $ifNull: [{ $first: '$userDetails' }, null] } } }
+    ]);
+    return order || null;
+  }
+  
+  const found = await Order.findById(id);
+  if (!found) {
+    return null;
+  }
+  
+  // Inefficient population for learning
+  const User = mongoose.model('User');
+  const user = await User.findById(found.userId).select('username email');
+  const order = found.toObject();
+  order.userDetails = user;
+  return order;
+}
+
 // GET order by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({ params: idParams }), async (req, res, next) => {
   const startTime = Date.now();
   
   try {
-    const cacheKey = `order:${req.params.id}`;
-    const cached = await req.redis.get(cacheKey);
-    
-    if (cached) {
-      cacheHitRate.labels('get', 'hit').inc();
-      return res.json(JSON.parse(cached));
-    }
-    
-    cacheHitRate.labels('get', 'miss').inc();
+    // Cache for 5 minutes
+    const order = await cached(req.redis, {
+      namespace: 'order',
+      key: `${req.perfMode}:${req.params.id}`,
+      ttl: 300,
+      l1: useL1(req, 'order')
+    }, async () => {
+      const found = await findOrderWithUser(req, req.params.id);
+      dbQueryDuration.labels('findById', 'orders', req.perfMode).observe((Date.now() - startTime) / 1000);
+      return found;
+    });
     
-    const order = await Order.findById(req.params.id);
     if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+      throw new NotFoundError('Order not found');
     }
     
-    // Inefficient population for learning
-    const User = mongoose.model('User');
-    const user = await User.findById(order.userId).select('username email');
-    order.userDetails = user;
-    
-    // Cache for 5 minutes
-    await req.redis.setex(cacheKey, 300, JSON.stringify(order));
-    
-    dbQueryDuration.labels('findById', 'orders').observe((Date.now() - startTime) / 1000);
     res.json(order);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // PUT update order status
-router.put('/:id/status', async (req, res) => {
+router.put('/:id/status', validate({ params: idParams, body: statusBody }), async (req, res, next) => {
   const startTime = Date.now();
   
   try {
-    const { status } = req.body;
+    const { status, reason } = req.body;
     
-    const order = await Order.findByIdAndUpdate(
-      req.params.id, 
-      { status, updatedAt: new Date() },
-      { new: true }
-    );
-    
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+    // Concurrent transitions of one order conflict inside the transaction; the retry
+    // re-reads the status, so only moves valid from the winner's state get through
+    let order;
+    let from;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        order = await Order.findById(req.params.id).session(session);
+        if (!order) {
+          throw new NotFoundError('Order not found');
+        }
+        from = order.status;
+        if (!TRANSITIONS[from].includes(status)) {
+          throw new ConflictError(`Cannot move an order from ${from} to ${status}`, { status: from, allowed: TRANSITIONS[from] });
+        }
+        
+        order.status = status;
+        order.updatedAt = new Date();
+        order.statusHistory.push({ from, to: status, at: order.updatedAt, requestId: req.id, reason });
+        await order.save({ session });
+        if (status === 'cancelled') {
+          await restoreStock(order, session);
+        }
+      });
+    } finally {
+      await session.endSession();
     }
+    orderTransitions.labels(from, status).inc();
     
     // Invalidate caches
-    await req.redis.del(`order:${req.params.id}`);
-    const keys = await req.redis.keys('orders:*');
-    if (keys.length) {
-      await req.redis.del(...keys);
+    await invalidateEntity(req.redis, 'order', req.params.id);
+    await invalidateNamespace(req.redis, 'orders', req.perfMode);
+    if (status === 'cancelled') {
+      await invalidateProducts(req, order.items.map(item => item.productId));
     }
     
-    dbQueryDuration.labels('update', 'orders').observe((Date.now() - startTime) / 1000);
+    dbQueryDuration.labels('update', 'orders', req.perfMode).observe((Date.now() - startTime) / 1000);
     res.json(order);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
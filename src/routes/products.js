@@ -1,64 +1,435 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const { dbQueryDuration, cacheHitRate } = require('../metrics');
-
-// Product Schema
-const productSchema = new mongoose.Schema({
-  name: { type: String, required: true, index: true },
-  description: String,
-  price: { type: Number, required: true },
-  category: { type: String, index: true },
-  stock: { type: Number, default: 0 },
-  tags: [String],
-  createdAt: { type: Date, default: Date.now }
-});
+const crypto = require('crypto');
+const { dbQueryDuration } = require('../metrics');
+const { cached, useL1, invalidateEntity, invalidateNamespace } = require('../cache');
+const { validate, validateObject } = require('../validation');
+const { wantsCursor, findPage } = require('../pagination');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  PreconditionRequiredError
+} = require('../errors');
+const { Product } = require('../models/product');
+const { traceMongo } = require('../tracing/instrument');
 
-const Product = mongoose.model('Product', productSchema);
+const PAGE_KEYS = [
+  { field: 'price', order: 1, type: 'number' },
+  { field: '_id', order: 1, type: 'objectId' }
+];
 
-// GET all products with filtering
-router.get('/', async (req, res) => {
+const idParams = {
+  id: { type: 'objectId', required: true }
+};
+
+// Lower bounds of the price-range facet; anything from the last boundary up lands in "1000+"
+const PRICE_BUCKETS = [0, 10, 25, 50, 100, 250, 500, 1000];
+const FACET_SIZE = 20;
+
+const searchQuery = {
+  q: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  category: { type: 'string', maxLength: 100 },
+  minPrice: { type: 'number', min: 0 },
+  maxPrice: { type: 'number', min: 0 },
+  page: { type: 'integer', min: 1, max: 50, default: 1 },
+  limit: { type: 'integer', min: 1, max: 50, default: 20 }
+};
+
+const listQuery = {
+  category: { type: 'string', maxLength: 100 },
+  minPrice: { type: 'number', min: 0 },
+  maxPrice: { type: 'number', min: 0 },
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, max: 100, default: 20 },
+  pagination: { type: 'string', enum: ['offset', 'cursor'] },
+  cursor: { type: 'string', maxLength: 512 }
+};
+
+const createProductBody = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  description: { type: 'string', maxLength: 5000 },
+  price: { type: 'number', required: true, min: 0 },
+  category: { type: 'string', maxLength: 100 },
+  stock: { type: 'integer', min: 0 },
+  tags: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 50 } }
+};
+
+// What PUT and PATCH may change. Stock only moves through POST /:id/stock, so a stale
+// full-document write can't undo reservations made by orders in the meantime.
+const EDITABLE_FIELDS = ['name', 'description', 'price', 'category', 'tags'];
+const REQUIRED_FIELDS = ['name', 'price'];
+
+// version: alternative to If-Match for clients that can't set headers
+const versionRule = { type: 'integer', min: 0 };
+
+const replaceProductBody = {
+  ...Object.fromEntries(EDITABLE_FIELDS.map(field => [field, createProductBody[field]])),
+  version: versionRule
+};
+
+// Same rules, all optional; null clears an optional field
+const patchProductBody = {
+  ...Object.fromEntries(EDITABLE_FIELDS.map(field => [field, { ...createProductBody[field], required: false }])),
+  version: versionRule
+};
+
+const stockBody = {
+  delta: { type: 'integer', required: true, min: -1000000, max: 1000000 }
+};
+
+const BULK_BATCH_SIZE = parseInt(process.env.PRODUCT_BULK_BATCH_SIZE) || 500;
+const BULK_MAX_LINE_LENGTH = 64 * 1024;
+// Only this many per-line errors are listed; the failed count still covers them all
+const BULK_MAX_ERRORS = 100;
+const NDJSON_TYPES = ['application/x-ndjson', 'application/jsonl'];
+
+// A bulk line is a full product; one with an _id is upserted instead of inserted
+const bulkLineSchema = {
+  _id: { type: 'objectId' },
+  ...createProductBody
+};
+
+// Category and price filters shared by the list and search endpoints
+function productFilter({ category, minPrice, maxPrice }) {
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    throw new ValidationError('Request validation failed', [
+      { location: 'query', field: 'minPrice', message: 'must not exceed maxPrice' }
+    ]);
+  }
+
+  const query = {};
+  if (category) query.category = category;
+  if (minPrice || maxPrice) {
+    query.price = {};
+    if (minPrice) query.price.$gte = minPrice;
+    if (maxPrice) query.price.$lte = maxPrice;
+  }
+  return query;
+}
+
+// Relevance-ranked page plus facet counts over every match, in one aggregation
+async function searchProducts({ q, filter, skip, limit }) {
+  const [result] = await Product.aggregate([
+    { $match: { $text: { $search: q }, ...filter } },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    { $facet: {
+      results: [{ $sort: { score: -1, _id: 1 } }, { $skip: skip }, { $limit: limit }],
+      total: [{ $count: 'count' }],
+      categories: [{ $sortByCount: '$category' }, { $limit: FACET_SIZE }],
+      tags: [{ $unwind: '$tags' }, { $sortByCount: '$tags' }, { $limit: FACET_SIZE }],
+      priceRanges: [{ $bucket: {
+        groupBy: '$price',
+        boundaries: [...PRICE_BUCKETS, Infinity],
+        default: 'other',
+        output: { count: { $sum: 1 } }
+      } }]
+    } }
+  ]);
+
+  const toFacet = ({ _id, count }) => ({ value: _id, count });
+  return {
+    query: q,
+    total: result.total.length ? result.total[0].count : 0,
+    results: result.results,
+    facets: {
+      categories: result.categories.map(toFacet),
+      tags: result.tags.map(toFacet),
+      priceRanges: result.priceRanges
+        .filter(bucket => bucket._id !== 'other')
+        .map(bucket => {
+          const next = PRICE_BUCKETS[PRICE_BUCKETS.indexOf(bucket._id) + 1];
+          return { min: bucket._id, max: next === undefined ? null : next, count: bucket.count };
+        })
+    }
+  };
+}
+
+// The document version (mongoose's __v) is the ETag. Every write to a product bumps it.
+function etag(product) {
+  return `"${product.__v || 0}"`;
+}
+
+// Versions a conditional write may apply to: '*' (any) or a list.
+// If-Match wins over a body version; weak or malformed tags can never match.
+function expectedVersions(req, { required }) {
+  const header = req.get('If-Match');
+  if (header) {
+    if (header.trim() === '*') {
+      return '*';
+    }
+    return header.split(',')
+      .map(tag => /^"(\d+)"$/.exec(tag.trim()))
+      .filter(Boolean)
+      .map(match => Number(match[1]));
+  }
+  if (req.body && req.body.version !== undefined) {
+    return [req.body.version];
+  }
+  if (required) {
+    throw new PreconditionRequiredError('Send If-Match with the product\'s ETag (or a version in the body)');
+  }
+  return '*';
+}
+
+function versionFilter(versions) {
+  if (versions === '*') {
+    return {};
+  }
+  // Documents written before versioning have no __v and count as version 0
+  return { __v: { $in: versions.includes(0) ? [...versions, null] : versions } };
+}
+
+// A conditional write matched nothing: either the product is gone or its version moved on
+async function explainMissedWrite(id, versions) {
+  const current = await Product.findById(id).select('__v stock').lean();
+  if (!current) {
+    throw new NotFoundError('Product not found');
+  }
+  const version = current.__v || 0;
+  if (versions !== '*' && !versions.includes(version)) {
+    throw new PreconditionFailedError('Product was modified by someone else; fetch it again and retry', { version });
+  }
+  return current;
+}
+
+// $set/$unset for PUT (replace every editable field) or PATCH (only the fields sent)
+function editUpdate(body, { replace }) {
+  if (body.stock !== undefined) {
+    throw new ValidationError('Request validation failed', [
+      { location: 'body', field: 'stock', message: 'is changed through POST /api/products/:id/stock' }
+    ]);
+  }
+
+  const $set = {};
+  const $unset = {};
+  const errors = [];
+  for (const field of EDITABLE_FIELDS) {
+    const value = body[field];
+    if (value === undefined && !replace) {
+      continue;
+    }
+    if (value !== undefined && value !== null) {
+      $set[field] = value;
+    } else if (REQUIRED_FIELDS.includes(field)) {
+      errors.push({ location: 'body', field, message: 'cannot be removed' });
+    } else {
+      $unset[field] = '';
+    }
+  }
+  if (errors.length) {
+    throw new ValidationError('Request validation failed', errors);
+  }
+  if (!Object.keys($set).length && !Object.keys($unset).length) {
+    throw new ValidationError('Request validation failed', [
+      { location: 'body', field: '', message: `must change at least one of: ${EDITABLE_FIELDS.join(', ')}` }
+    ]);
+  }
+  return { $set, $unset, $inc: { __v: 1 } };
+}
+
+// The product's own entry plus every list and search page it may appear on
+async function invalidateProduct(req, id) {
+  await invalidateEntity(req.redis, 'product', String(id));
+  await invalidateNamespace(req.redis, 'products', req.perfMode);
+}
+
+async function updateProduct(req, res, next, { replace }) {
   const startTime = Date.now();
-  const { category, minPrice, maxPrice, page = 1, limit = 20 } = req.query;
-  const skip = (parseInt(page) - 1) * parseInt(limit);
 
   try {
-    const cacheKey = `products:${category || 'all'}:${minPrice || 0}:${maxPrice || 'max'}:${page}:${limit}`;
-    const cached = await req.redis.get(cacheKey);
-    
-    if (cached) {
-      cacheHitRate.labels('get', 'hit').inc();
-      return res.json(JSON.parse(cached));
+    const versions = expectedVersions(req, { required: true });
+    const update = editUpdate(req.body, { replace });
+    const product = await Product.findOneAndUpdate(
+      { _id: req.params.id, ...versionFilter(versions) },
+      update,
+      { new: true, runValidators: true }
+    );
+    dbQueryDuration.labels('findOneAndUpdate', 'products', req.perfMode).observe((Date.now() - startTime) / 1000);
+
+    if (!product) {
+      await explainMissedWrite(req.params.id, versions);
+      // Matched a moment ago but not now: it changed in between
+      throw new PreconditionFailedError('Product was modified by someone else; fetch it again and retry');
     }
-    
-    cacheHitRate.labels('get', 'miss').inc();
 
-    // Build query
-    const query = {};
-    if (category) query.category = category;
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = parseFloat(minPrice);
-      if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+    await invalidateProduct(req, product._id);
+    res.set('ETag', etag(product)).json(product);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Lines of an NDJSON stream as { line, text } (or { line, tooLong }), read as the consumer asks
+// for them. While the consumer is busy writing a batch nothing more is read, so a large upload
+// is throttled by TCP instead of piling up in memory.
+async function* ndjsonLines(stream) {
+  let buffered = '';
+  let line = 0;
+  let skipping = false;
+
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) {
+    const parts = (buffered + chunk).split('\n');
+    buffered = parts.pop();
+    for (const text of parts) {
+      line++;
+      if (skipping || text.length > BULK_MAX_LINE_LENGTH) {
+        skipping = false;
+        yield { line, tooLong: true };
+      } else {
+        yield { line, text };
+      }
     }
+    // No newline in sight: drop the rest of this line rather than buffer it
+    if (buffered.length > BULK_MAX_LINE_LENGTH) {
+      skipping = true;
+      buffered = '';
+    }
+  }
+  if (skipping) {
+    yield { line: line + 1, tooLong: true };
+  } else if (buffered.trim()) {
+    yield { line: line + 1, text: buffered };
+  }
+}
+
+// One validated line as a driver bulkWrite operation
+function bulkOperation(value) {
+  const doc = new Product(value).toObject();
+  if (value._id === undefined) {
+    return { insertOne: { document: { ...doc, __v: 0 } } };
+  }
+
+  // Only the fields the line sets, so an upsert doesn't reset stock it didn't mention
+  const $set = {};
+  Object.keys(createProductBody)
+    .filter(field => value[field] !== undefined)
+    .forEach(field => { $set[field] = doc[field]; });
+  const $setOnInsert = { createdAt: doc.createdAt };
+  if ($set.stock === undefined) {
+    $setOnInsert.stock = 0;
+  }
+  return { updateOne: { filter: { _id: doc._id }, update: { $set, $setOnInsert, $inc: { __v: 1 } }, upsert: true } };
+}
+
+function recordLineError(summary, line, message) {
+  summary.failed++;
+  if (summary.errors.length < BULK_MAX_ERRORS) {
+    summary.errors.push({ line, message });
+  } else {
+    summary.errorsTruncated = true;
+  }
+}
+
+// Unordered, so one bad line doesn't stop the rest of its batch.
+// Goes through the driver so write error indexes map straight back to lines.
+async function writeBatch(batch, summary, mode) {
+  const startTime = Date.now();
+  let result;
+  try {
+    result = await traceMongo('bulkWrite', Product.collection.name,
+      () => Product.collection.bulkWrite(batch.operations, { ordered: false }));
+  } catch (error) {
+    if (!(error instanceof mongoose.mongo.MongoBulkWriteError)) {
+      throw error;
+    }
+    result = error.result;
+    [].concat(error.writeErrors).forEach(writeError => {
+      recordLineError(summary, batch.lines[writeError.index], writeError.errmsg);
+    });
+  }
+  dbQueryDuration.labels('bulkWrite', 'products', mode).observe((Date.now() - startTime) / 1000);
+
+  summary.inserted += result.insertedCount;
+  summary.upserted += result.upsertedCount;
+  summary.updated += result.matchedCount;
+}
 
-    const products = await Product.find(query)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
+// GET all products with filtering
+router.get('/', validate({ query: listQuery }), async (req, res, next) => {
+  const startTime = Date.now();
+  const { category, minPrice, maxPrice, page, limit, cursor } = req.query;
+  const skip = (page - 1) * limit;
 
-    // Cache for 5 minutes
-    await req.redis.setex(cacheKey, 300, JSON.stringify(products));
+  try {
+    const query = productFilter(req.query);
+    const filterKey = `${category || 'all'}:${minPrice || 0}:${maxPrice || 'max'}`;
+
+    // Keyset pagination: { data, next, prev, limit }
+    if (wantsCursor(req.query)) {
+      const result = await cached(req.redis, {
+        namespace: 'products',
+        key: `${req.perfMode}:${filterKey}:cursor:${cursor || 'first'}:${limit}`,
+        ttl: 300,
+        staleWhileRevalidate: 60,
+        l1: useL1(req, 'products')
+      }, async () => {
+        const pageResult = await findPage(Product, { filter: query, keys: PAGE_KEYS, limit, cursor });
+        dbQueryDuration.labels('findKeyset', 'products', req.perfMode).observe((Date.now() - startTime) / 1000);
+        return pageResult;
+      });
+      return res.json(result);
+    }
+
+    // Cache for 5 minutes, serving stale for up to a minute while it refreshes
+    const products = await cached(req.redis, {
+      namespace: 'products',
+      key: `${req.perfMode}:${filterKey}:${page}:${limit}`,
+      ttl: 300,
+      staleWhileRevalidate: 60,
+      l1: useL1(req, 'products')
+    }, async () => {
+      const found = await Product.find(query)
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      dbQueryDuration.labels('find', 'products', req.perfMode).observe((Date.now() - startTime) / 1000);
+      return found;
+    });
     
-    dbQueryDuration.labels('find', 'products').observe((Date.now() - startTime) / 1000);
     res.json(products);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+// GET full-text search with relevance ranking and category/tag/price facets
+router.get('/search', validate({ query: searchQuery }), async (req, res, next) => {
+  const startTime = Date.now();
+  const { q, page, limit } = req.query;
+
+  try {
+    const filter = productFilter(req.query);
+    const key = crypto.createHash('sha1')
+      .update(JSON.stringify([q, req.query.category, req.query.minPrice, req.query.maxPrice, page, limit]))
+      .digest('hex');
+
+    // Same namespace as the list, so product writes invalidate search results too
+    const results = await cached(req.redis, {
+      namespace: 'products',
+      key: `${req.perfMode}:search:${key}`,
+      ttl: 300,
+      staleWhileRevalidate: 60,
+      l1: useL1(req, 'products')
+    }, async () => {
+      const found = await searchProducts({ q, filter, skip: (page - 1) * limit, limit });
+      dbQueryDuration.labels('textSearch', 'products', req.perfMode).observe((Date.now() - startTime) / 1000);
+      return found;
+    });
+
+    res.json(results);
+  } catch (error) {
+    next(error);
   }
 });
 
 // POST create product
-router.post('/', async (req, res) => {
+router.post('/', validate({ body: createProductBody }), async (req, res, next) => {
   const startTime = Date.now();
   
   try {
@@ -66,45 +437,176 @@ router.post('/', async (req, res) => {
     await product.save();
     
     // Invalidate related caches
-    const keys = await req.redis.keys('products:*');
-    if (keys.length) {
-      await req.redis.del(...keys);
-    }
+    await invalidateNamespace(req.redis, 'products', req.perfMode);
     
-    dbQueryDuration.labels('insert', 'products').observe((Date.now() - startTime) / 1000);
-    res.status(201).json(product);
+    dbQueryDuration.labels('insert', 'products', req.perfMode).observe((Date.now() - startTime) / 1000);
+    res.status(201).set('ETag', etag(product)).json(product);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST bulk import: one product per NDJSON line, written in unordered batches.
+// Bad lines are reported by line number; the rest are still imported.
+router.post('/bulk', async (req, res, next) => {
+  if (!req.is(NDJSON_TYPES)) {
+    return next(new AppError('Send one product per line with Content-Type: application/x-ndjson', {
+      status: 415,
+      code: 'unsupported_media_type'
+    }));
+  }
+
+  const summary = { received: 0, inserted: 0, upserted: 0, updated: 0, failed: 0, errors: [] };
+  let batch = { operations: [], lines: [] };
+  let failure = null;
+
+  try {
+    for await (const { line, text, tooLong } of ndjsonLines(req)) {
+      if (tooLong) {
+        summary.received++;
+        recordLineError(summary, line, `line is longer than ${BULK_MAX_LINE_LENGTH} characters`);
+        continue;
+      }
+      if (!text.trim()) {
+        continue;
+      }
+      summary.received++;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        recordLineError(summary, line, `invalid JSON: ${error.message}`);
+        continue;
+      }
+      const { value, errors } = validateObject(parsed, bulkLineSchema);
+      if (errors.length) {
+        recordLineError(summary, line, errors.map(({ field, message }) => `${field} ${message}`.trim()).join('; '));
+        continue;
+      }
+
+      batch.operations.push(bulkOperation(value));
+      batch.lines.push(line);
+      if (batch.operations.length >= BULK_BATCH_SIZE) {
+        await writeBatch(batch, summary, req.perfMode);
+        batch = { operations: [], lines: [] };
+      }
+    }
+    if (batch.operations.length) {
+      await writeBatch(batch, summary, req.perfMode);
+    }
+  } catch (error) {
+    failure = error;
+  }
+
+  // Whatever was written before a failure still has to show up in reads
+  try {
+    if (summary.inserted || summary.upserted || summary.updated) {
+      await invalidateNamespace(req.redis, 'products', req.perfMode);
+    }
+    if (summary.updated) {
+      await invalidateNamespace(req.redis, 'product', req.perfMode);
+    }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    failure = failure || error;
   }
+
+  if (failure) {
+    return next(failure);
+  }
+  res.json(summary);
 });
 
 // GET product by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({ params: idParams }), async (req, res, next) => {
   const startTime = Date.now();
   
   try {
-    const cacheKey = `product:${req.params.id}`;
-    const cached = await req.redis.get(cacheKey);
+    // Cache individual product for 10 minutes
+    const product = await cached(req.redis, {
+      namespace: 'product',
+      key: `${req.perfMode}:${req.params.id}`,
+      ttl: 600,
+      l1: useL1(req, 'product')
+    }, async () => {
+      const found = await Product.findById(req.params.id);
+      dbQueryDuration.labels('findById', 'products', req.perfMode).observe((Date.now() - startTime) / 1000);
+      return found;
+    });
     
-    if (cached) {
-      cacheHitRate.labels('get', 'hit').inc();
-      return res.json(JSON.parse(cached));
+    if (!product) {
+      throw new NotFoundError('Product not found');
     }
     
-    cacheHitRate.labels('get', 'miss').inc();
-    
-    const product = await Product.findById(req.params.id);
+    // A matching If-None-Match gets a 304
+    res.set('ETag', etag(product)).json(product);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT replace a product's editable fields; needs If-Match (or a body version)
+router.put('/:id', validate({ params: idParams, body: replaceProductBody }), (req, res, next) =>
+  updateProduct(req, res, next, { replace: true })
+);
+
+// PATCH change some fields; needs If-Match (or a body version)
+router.patch('/:id', validate({ params: idParams, body: patchProductBody }), (req, res, next) =>
+  updateProduct(req, res, next, { replace: false })
+);
+
+// DELETE product; If-Match is honoured when sent
+router.delete('/:id', validate({ params: idParams }), async (req, res, next) => {
+  const startTime = Date.now();
+
+  try {
+    const versions = expectedVersions(req, { required: false });
+    const product = await Product.findOneAndDelete({ _id: req.params.id, ...versionFilter(versions) });
+    dbQueryDuration.labels('delete', 'products', req.perfMode).observe((Date.now() - startTime) / 1000);
+
     if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
+      await explainMissedWrite(req.params.id, versions);
+      throw new PreconditionFailedError('Product was modified by someone else; fetch it again and retry');
     }
-    
-    // Cache individual product for 10 minutes
-    await req.redis.setex(cacheKey, 600, JSON.stringify(product));
-    
-    dbQueryDuration.labels('findById', 'products').observe((Date.now() - startTime) / 1000);
-    res.json(product);
+
+    await invalidateProduct(req, product._id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST adjust stock atomically by delta; a decrement never takes stock below zero
+router.post('/:id/stock', validate({ params: idParams, body: stockBody }), async (req, res, next) => {
+  const startTime = Date.now();
+  const { delta } = req.body;
+
+  try {
+    if (delta === 0) {
+      throw new ValidationError('Request validation failed', [
+        { location: 'body', field: 'delta', message: 'must not be 0' }
+      ]);
+    }
+
+    const versions = expectedVersions(req, { required: false });
+    const filter = { _id: req.params.id, ...versionFilter(versions) };
+    if (delta < 0) {
+      filter.stock = { $gte: -delta };
+    }
+    const product = await Product.findOneAndUpdate(filter, { $inc: { stock: delta, __v: 1 } }, { new: true });
+    dbQueryDuration.labels('findOneAndUpdate', 'products', req.perfMode).observe((Date.now() - startTime) / 1000);
+
+    if (!product) {
+      const current = await explainMissedWrite(req.params.id, versions);
+      throw new ConflictError('Insufficient stock', [
+        { location: 'body', field: 'delta', message: `product has ${current.stock} in stock, ${-delta} requested` }
+      ]);
+    }
+
+    await invalidateProduct(req, product._id);
+    res.set('ETag', etag(product)).json(product);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { createBottleneck, resolveParams, listScenarios, hasScenario } = require('../bottlenecks/scenarios');
+const { addInjection, removeInjection, listInjections } = require('../bottlenecks/injector');
+const { ValidationError, NotFoundError } = require('../errors');
+
+// GET all scenarios with their parameters
+router.get('/', (req, res) => {
+  res.json(listScenarios());
+});
+
+// GET active injections
+router.get('/injections', (req, res) => {
+  res.json(listInjections());
+});
+
+// POST attach a scenario to a route
+router.post('/injections', (req, res, next) => {
+  const { scenario } = req.body;
+  if (!hasScenario(scenario)) {
+    return next(new NotFoundError('Scenario not found'));
+  }
+
+  try {
+    const injection = addInjection(req.body);
+    res.status(201).json(injection);
+  } catch (error) {
+    next(error instanceof ValidationError ? error : new ValidationError(error.message));
+  }
+});
+
+// DELETE detach an injection
+router.delete('/injections/:id', (req, res, next) => {
+  if (!removeInjection(req.params.id)) {
+    return next(new NotFoundError('Injection not found'));
+  }
+  res.status(204).end();
+});
+
+// POST trigger a scenario once with custom parameters
+router.post('/:name/run', async (req, res, next) => {
+  const { name } = req.params;
+  if (!hasScenario(name)) {
+    return next(new NotFoundError('Scenario not found'));
+  }
+
+  let params;
+  try {
+    params = resolveParams(name, req.body.params || {});
+  } catch (error) {
+    return next(error);
+  }
+
+  const startTime = Date.now();
+  try {
+    await createBottleneck(name, params, 'api');
+    res.json({ scenario: name, params, durationMs: Date.now() - startTime });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,86 +1,161 @@
 const express = require('express');
 const router = express.Router();
-const mongoose = require('mongoose');
-const bcrypt = require('bcrypt');
-const { dbQueryDuration, cacheHitRate, memoryLeakGauge } = require('../metrics');
-const { createBottleneck } = require('../bottlenecks/scenarios');
-
-// User Schema
-const userSchema = new mongoose.Schema({
-  username: { type: String, required: true, index: true },
-  email: { type: String, required: true, index: true },
-  password: String,
-  profile: {
-    age: Number,
-    location: String,
-    preferences: Object
-  },
-  loginHistory: [{ timestamp: Date, ip: String }],
-  createdAt: { type: Date, default: Date.now }
-});
+const { dbQueryDuration, memoryLeakGauge } = require('../metrics');
+const { createBottleneck, SCENARIO_NAMES } = require('../bottlenecks/scenarios');
+const { isOptimized } = require('../perfMode');
+const { cached, useL1, invalidateNamespace } = require('../cache');
+const { runCpuTask } = require('../workers/pool');
+const { clientAbortSignal } = require('../requestContext');
+const { validate } = require('../validation');
+const { idempotent } = require('../idempotency');
+const { wantsCursor, findPage } = require('../pagination');
+const { exportQuery, sendExport } = require('../export');
+const { User, SEARCH_COLLATION } = require('../models/user');
 
-const User = mongoose.model('User', userSchema);
+const PAGE_KEYS = [
+  { field: 'createdAt', order: -1, type: 'date' },
+  { field: '_id', order: -1, type: 'objectId' }
+];
 
 // Memory leak simulation (for learning)
 let leakyArray = [];
 
+const pageQuery = {
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, max: 100, default: 10 },
+  pagination: { type: 'string', enum: ['offset', 'cursor'] },
+  cursor: { type: 'string', maxLength: 512 }
+};
+
+const createUserBody = {
+  username: { type: 'string', required: true, minLength: 3, maxLength: 50 },
+  email: { type: 'string', required: true, maxLength: 254, pattern: /^[^\s@]+@[^\s@]+$/ },
+  // bcrypt ignores everything past 72 bytes
+  password: { type: 'string', required: true, minLength: 6, maxLength: 72 },
+  profile: { type: 'object' },
+  scenario: { type: 'string', enum: SCENARIO_NAMES },
+  scenarioParams: { type: 'object' }
+};
+
+// Never exported: password hashes, and the login history that grows without bound
+const EXPORT_FIELDS = 'username email profile createdAt';
+
+const EXPORT_COLUMNS = [
+  { header: 'id', value: user => user._id },
+  { header: 'username', value: user => user.username },
+  { header: 'email', value: user => user.email },
+  { header: 'age', value: user => user.profile && user.profile.age },
+  { header: 'location', value: user => user.profile && user.profile.location },
+  { header: 'createdAt', value: user => user.createdAt }
+];
+
+const searchQuery = {
+  q: { type: 'string', required: true, maxLength: 100 }
+};
+
+// User input is searched for as text; unescaped, something like "(" would not even compile
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function recentLoginFilter() {
+  return { 'loginHistory.timestamp': { $gte: new Date(Date.now() - 86400000) } };
+}
+
+// Recent login count on each user, naive or optimized
+async function attachRecentLogins(req, users) {
+  if (isOptimized(req)) {
+    // Optimized: the count is the same for every user, so ask once
+    const loginCount = await User.countDocuments(recentLoginFilter());
+    users.forEach(user => { user.recentLogins = loginCount; });
+    return users;
+  }
+
+  // Simulate additional queries per user (N+1 problem)
+  for (let user of users) {
+    const loginCount = await User.countDocuments(recentLoginFilter());
+    user.recentLogins = loginCount;
+  }
+  return users;
+}
+
+// Page of users with their recent login count, naive or optimized
+async function findUsersPage(req, skip, limit) {
+  if (isOptimized(req)) {
+    // Optimized: page and login count in a single aggregation
+    const [result] = await User.aggregate([
+      { $facet: {
+        users: [{ $skip: skip }, { $limit: limit }],
+        recent: [{ $match: recentLoginFilter() }, { $count: 'count' }]
+      } }
+    ]);
+    const loginCount = result.recent.length ? result.recent[0].count : 0;
+    return result.users.map(user => ({ ...user, recentLogins: loginCount }));
+  }
+  
+  // Deliberate N+1 query problem (for learning)
+  const users = await User.find()
+    .skip(skip)
+    .limit(limit)
+    .lean();
+  return attachRecentLogins(req, users);
+}
+
 // GET all users with pagination
-router.get('/', async (req, res) => {
+router.get('/', validate({ query: pageQuery }), async (req, res, next) => {
   const startTime = Date.now();
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
+  const { page, limit, cursor } = req.query;
   const skip = (page - 1) * limit;
 
   try {
-    // Check cache first
-    const cacheKey = `users:${page}:${limit}`;
-    const cached = await req.redis.get(cacheKey);
-    
-    if (cached) {
-      cacheHitRate.labels('get', 'hit').inc();
-      return res.json(JSON.parse(cached));
-    }
-    
-    cacheHitRate.labels('get', 'miss').inc();
-    
-    // Deliberate N+1 query problem (for learning)
-    const users = await User.find()
-      .skip(skip)
-      .limit(limit)
-      .lean();
-    
-    // Simulate additional queries per user (N+1 problem)
-    for (let user of users) {
-      const loginCount = await User.countDocuments({ 
-        'loginHistory.timestamp': { $gte: new Date(Date.now() - 86400000) }
+    // Keyset pagination: { data, next, prev, limit }
+    if (wantsCursor(req.query)) {
+      const result = await cached(req.redis, {
+        namespace: 'users',
+        key: `${req.perfMode}:cursor:${cursor || 'first'}:${limit}`,
+        ttl: 60,
+        l1: useL1(req, 'users')
+      }, async () => {
+        const pageResult = await findPage(User, { keys: PAGE_KEYS, limit, cursor });
+        await attachRecentLogins(req, pageResult.data);
+        dbQueryDuration.labels('findKeyset', 'users', req.perfMode).observe((Date.now() - startTime) / 1000);
+        return pageResult;
       });
-      user.recentLogins = loginCount;
+      return res.json(result);
     }
+
+    // Cache for 1 minute
+    const users = await cached(req.redis, {
+      namespace: 'users',
+      key: `${req.perfMode}:${page}:${limit}`,
+      ttl: 60,
+      l1: useL1(req, 'users')
+    }, async () => {
+      const found = await findUsersPage(req, skip, limit);
+      dbQueryDuration.labels('find', 'users', req.perfMode).observe((Date.now() - startTime) / 1000);
+      return found;
+    });
     
-    // Cache the result
-    await req.redis.setex(cacheKey, 60, JSON.stringify(users));
-    
-    dbQueryDuration.labels('find', 'users').observe((Date.now() - startTime) / 1000);
     res.json(users);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// POST create user with deliberate bottlenecks
-router.post('/', async (req, res) => {
+// POST create user with deliberate bottlenecks (Idempotency-Key aware)
+router.post('/', validate({ body: createUserBody }), idempotent('users'), async (req, res, next) => {
   const startTime = Date.now();
   
   try {
-    const { username, email, password, scenario } = req.body;
+    const { username, email, password, scenario, scenarioParams } = req.body;
     
     // Apply bottleneck scenarios for learning
     if (scenario) {
-      await createBottleneck(scenario);
+      await createBottleneck(scenario, scenarioParams);
     }
     
-    // Expensive password hashing (deliberate high cost)
-    const hashedPassword = await bcrypt.hash(password, 12);
+    // Expensive password hashing (deliberate high cost), inline or in the worker pool
+    const hashedPassword = await runCpuTask('hashPassword', { password, rounds: 12 }, { signal: clientAbortSignal(res) });
     
     // Memory leak simulation (for learning)
     leakyArray.push(new Array(1000).fill(req.body));
@@ -96,37 +171,68 @@ router.post('/', async (req, res) => {
     await user.save();
     
     // Invalidate cache
-    const keys = await req.redis.keys('users:*');
-    if (keys.length) {
-      await req.redis.del(...keys);
-    }
+    await invalidateNamespace(req.redis, 'users', req.perfMode);
     
-    dbQueryDuration.labels('insert', 'users').observe((Date.now() - startTime) / 1000);
+    dbQueryDuration.labels('insert', 'users', req.perfMode).observe((Date.now() - startTime) / 1000);
     res.status(201).json(user);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// GET user search (unoptimized regex)
-router.get('/search', async (req, res) => {
+// GET every user as NDJSON or CSV (?format=), streamed from a cursor
+// or, with ?delivery=buffered, loaded in full first
+router.get('/export', validate({ query: exportQuery }), async (req, res, next) => {
+  try {
+    await sendExport(req, res, {
+      model: User,
+      sort: { createdAt: -1, _id: -1 },
+      select: EXPORT_FIELDS,
+      columns: EXPORT_COLUMNS,
+      name: 'users'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET user search. The modes differ in what they match, not only in how:
+//   naive      q anywhere in username, email or location, ignoring case ("smith" finds "jsmith")
+//   optimized  username, email or location starting with q, ignoring case ("smith" does not find
+//              "jsmith"); an API change from the naive search, made so the match can be an index range
+router.get('/search', validate({ query: searchQuery }), async (req, res, next) => {
   const { q } = req.query;
   const startTime = Date.now();
   
   try {
-    // Deliberate inefficient regex search (for learning)
-    const users = await User.find({
-      $or: [
-        { username: new RegExp(q, 'i') },
-        { email: new RegExp(q, 'i') },
-        { 'profile.location': new RegExp(q, 'i') }
-      ]
-    }).limit(100);
+    let users;
+    if (isOptimized(req)) {
+      // Optimized: a prefix range under the case-insensitive collation of the *_search indexes.
+      // U+FFFF sorts after every character, so [q, q + U+FFFF) is everything starting with q.
+      const range = { $gte: q, $lt: `${q}\uffff` };
+      users = await User.find({
+        $or: [
+          { username: range },
+          { email: range },
+          { 'profile.location': range }
+        ]
+      }).collation(SEARCH_COLLATION).limit(100).lean();
+    } else {
+      // Deliberate inefficient regex search (for learning)
+      const pattern = new RegExp(escapeRegExp(q), 'i');
+      users = await User.find({
+        $or: [
+          { username: pattern },
+          { email: pattern },
+          { 'profile.location': pattern }
+        ]
+      }).limit(100);
+    }
     
-    dbQueryDuration.labels('search', 'users').observe((Date.now() - startTime) / 1000);
+    dbQueryDuration.labels('search', 'users', req.perfMode).observe((Date.now() - startTime) / 1000);
     res.json(users);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -0,0 +1,125 @@
+// Rolling SLO compliance and error budgets for routes declared in config/routeMetrics.js
+const routeMetrics = require('./config/routeMetrics');
+
+const SLOT_SECONDS = 10;
+const SLOT_COUNT = Math.max(1, Math.ceil(routeMetrics.sloWindowSeconds / SLOT_SECONDS));
+
+// Upper bounds (ms) for the latency distribution kept per slot, used to estimate the percentile
+const LATENCY_BOUNDS_MS = [1, 2, 5, 10, 25, 50, 75, 100, 150, 200, 300, 500, 750, 1000, 2000, 5000, 10000, Infinity];
+
+// route key -> ring of slots, each covering SLOT_SECONDS
+const windows = new Map();
+
+function emptySlot(epoch) {
+  return { epoch, total: 0, failures: 0, slow: 0, latency: new Array(LATENCY_BOUNDS_MS.length).fill(0) };
+}
+
+function currentEpoch() {
+  return Math.floor(Date.now() / 1000 / SLOT_SECONDS);
+}
+
+function recordRequest(routeKey, durationMs, statusCode) {
+  const config = routeMetrics.routes[routeKey];
+  if (!config || !config.slo) {
+    return;
+  }
+
+  if (!windows.has(routeKey)) {
+    windows.set(routeKey, new Array(SLOT_COUNT).fill(null));
+  }
+  const ring = windows.get(routeKey);
+  const epoch = currentEpoch();
+  const index = epoch % SLOT_COUNT;
+  if (!ring[index] || ring[index].epoch !== epoch) {
+    ring[index] = emptySlot(epoch);
+  }
+
+  const slot = ring[index];
+  slot.total++;
+  if (statusCode >= 500) {
+    slot.failures++;
+  }
+  if (durationMs > config.slo.latencyMs) {
+    slot.slow++;
+  }
+  slot.latency[LATENCY_BOUNDS_MS.findIndex(bound => durationMs <= bound)]++;
+}
+
+function estimatePercentile(latency, total, percentile) {
+  const rank = Math.ceil(total * percentile / 100);
+  let seen = 0;
+  for (let i = 0; i < latency.length; i++) {
+    seen += latency[i];
+    if (seen >= rank) {
+      return LATENCY_BOUNDS_MS[i] === Infinity ? null : LATENCY_BOUNDS_MS[i];
+    }
+  }
+  return null;
+}
+
+// Fraction of the error budget left: 1 = untouched, 0 = spent, negative = overspent
+function budgetRemaining(badEvents, total, targetRatio) {
+  const allowed = total * (1 - targetRatio);
+  if (total === 0) {
+    return 1;
+  }
+  if (allowed === 0) {
+    return badEvents === 0 ? 1 : 0;
+  }
+  return 1 - badEvents / allowed;
+}
+
+function summarize(routeKey, slo) {
+  const oldestEpoch = currentEpoch() - SLOT_COUNT + 1;
+  const totals = emptySlot(null);
+  for (const slot of windows.get(routeKey) || []) {
+    if (!slot || slot.epoch < oldestEpoch) {
+      continue;
+    }
+    totals.total += slot.total;
+    totals.failures += slot.failures;
+    totals.slow += slot.slow;
+    slot.latency.forEach((count, i) => { totals.latency[i] += count; });
+  }
+
+  const latencyTarget = slo.percentile / 100;
+  const successTarget = slo.successRate / 100;
+  const withinLatency = totals.total ? (totals.total - totals.slow) / totals.total : 1;
+  const successRate = totals.total ? (totals.total - totals.failures) / totals.total : 1;
+
+  return {
+    route: routeKey,
+    requests: totals.total,
+    latency: {
+      objective: `p${slo.percentile} < ${slo.latencyMs}ms`,
+      observedPercentileMs: totals.total ? estimatePercentile(totals.latency, totals.total, slo.percentile) : null,
+      withinTarget: withinLatency,
+      met: withinLatency >= latencyTarget,
+      errorBudgetRemaining: budgetRemaining(totals.slow, totals.total, latencyTarget)
+    },
+    availability: {
+      objective: `${slo.successRate}% success`,
+      successRate,
+      met: successRate >= successTarget,
+      errorBudgetRemaining: budgetRemaining(totals.failures, totals.total, successTarget)
+    }
+  };
+}
+
+function getSloReport() {
+  const routes = Object.entries(routeMetrics.routes)
+    .filter(([, config]) => config.slo)
+    .map(([routeKey, config]) => summarize(routeKey, config.slo));
+
+  return {
+    windowSeconds: SLOT_COUNT * SLOT_SECONDS,
+    generatedAt: new Date().toISOString(),
+    allMet: routes.every(route => route.latency.met && route.availability.met),
+    routes
+  };
+}
+
+module.exports = {
+  recordRequest,
+  getSloReport
+};
@@ -0,0 +1,150 @@
+// Writes finished traces as OTLP/JSON lines and keeps recent ones in memory for /debug/traces.
+// The file rotates by size (traces.jsonl -> traces.jsonl.1 -> ...) and only the newest
+// TRACE_MAX_FILES are kept.
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+
+const TRACE_FILE = path.resolve(process.env.TRACE_FILE || 'traces/traces.jsonl');
+const RECENT_LIMIT = parseInt(process.env.TRACE_RECENT_LIMIT) || 500;
+const SERVICE_NAME = process.env.SERVICE_NAME || 'nodejs-perf-lab';
+const MAX_FILE_BYTES = (parseFloat(process.env.TRACE_MAX_FILE_MB) || 50) * 1024 * 1024;
+const MAX_FILES = parseInt(process.env.TRACE_MAX_FILES) || 5;
+
+// Exporting must never slow requests down: past this much unflushed output, traces are dropped
+const MAX_BUFFERED_BYTES = 8 * 1024 * 1024;
+
+const recent = [];
+let stream = null;
+let bytes = 0;
+
+function openStream() {
+  fs.mkdirSync(path.dirname(TRACE_FILE), { recursive: true });
+  try {
+    bytes = fs.statSync(TRACE_FILE).size;
+  } catch (error) {
+    bytes = 0;
+  }
+  const opened = fs.createWriteStream(TRACE_FILE, { flags: 'a' });
+  opened.on('error', error => {
+    logger.error('Failed to write traces', { component: 'tracing', err: error });
+    if (stream === opened) {
+      stream = null;
+    }
+  });
+  stream = opened;
+}
+
+// Shift traces.jsonl.N up by one, dropping the oldest; the open stream keeps writing to its file
+// under the new name until it ends
+function rotate() {
+  stream.end();
+  stream = null;
+  try {
+    for (let i = MAX_FILES - 1; i >= 1; i--) {
+      const from = i === 1 ? TRACE_FILE : `${TRACE_FILE}.${i - 1}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${TRACE_FILE}.${i}`);
+      }
+    }
+    if (MAX_FILES === 1) {
+      fs.unlinkSync(TRACE_FILE);
+    }
+  } catch (error) {
+    logger.error('Failed to rotate traces', { component: 'tracing', err: error });
+  }
+}
+
+function writeLine(line) {
+  if (stream && stream.writableLength > MAX_BUFFERED_BYTES) {
+    return;
+  }
+  const length = Buffer.byteLength(line);
+  if (stream && bytes + length > MAX_FILE_BYTES) {
+    rotate();
+  }
+  if (!stream) {
+    openStream();
+  }
+  stream.write(line);
+  bytes += length;
+}
+
+function toAttributeValue(value) {
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  return { stringValue: typeof value === 'string' ? value : JSON.stringify(value) };
+}
+
+function toOtlpSpan(span) {
+  const otlp = {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    name: span.name,
+    kind: span.kind,
+    startTimeUnixNano: span.startTime.toString(),
+    endTimeUnixNano: span.endTime.toString(),
+    attributes: Object.entries(span.attributes).map(([key, value]) => ({ key, value: toAttributeValue(value) })),
+    status: span.status
+  };
+  if (span.parentSpanId) {
+    otlp.parentSpanId = span.parentSpanId;
+  }
+  return otlp;
+}
+
+// One ExportTraceServiceRequest per line, so the file can be replayed into any OTLP collector later
+function toOtlpRequest(spans) {
+  return {
+    resourceSpans: [{
+      resource: {
+        attributes: [
+          { key: 'service.name', value: { stringValue: SERVICE_NAME } },
+          { key: 'process.pid', value: { intValue: String(process.pid) } }
+        ]
+      },
+      scopeSpans: [{ scope: { name: 'perf-lab-tracer' }, spans }]
+    }]
+  };
+}
+
+function exportTrace(trace) {
+  // Spans still open when the request ends (fire-and-forget work) are dropped
+  const spans = trace.spans.filter(span => span.endTime !== null).map(toOtlpSpan);
+  writeLine(JSON.stringify(toOtlpRequest(spans)) + '\n');
+
+  const root = trace.root;
+  recent.push({
+    traceId: trace.traceId,
+    name: root.name,
+    startedAt: new Date(Number(root.startTime / 1000000n)).toISOString(),
+    durationMs: Number(root.endTime - root.startTime) / 1e6,
+    spans
+  });
+  if (recent.length > RECENT_LIMIT) {
+    recent.shift();
+  }
+}
+
+// Slowest recent traces first
+function getRecentTraces({ minMs = 0, limit = 50 } = {}) {
+  return recent
+    .filter(trace => trace.durationMs >= minMs)
+    .sort((a, b) => b.durationMs - a.durationMs)
+    .slice(0, limit);
+}
+
+function getTrace(traceId) {
+  return recent.find(trace => trace.traceId === traceId) || null;
+}
+
+module.exports = {
+  TRACE_FILE,
+  exportTrace,
+  getRecentTraces,
+  getTrace
+};
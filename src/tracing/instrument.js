@@ -0,0 +1,140 @@
+// Child spans for every mongoose query and ioredis command made while a request is traced, and
+// a log line for each (debug, or warn when it fails) tagged with the request it served
+const { performance } = require('perf_hooks');
+const mongoose = require('mongoose');
+const { startSpan, SpanKind } = require('./tracer');
+const { logger, isLevelEnabled } = require('../logger');
+
+const QUERY_OPS = [
+  'count', 'countDocuments', 'estimatedDocumentCount', 'distinct',
+  'find', 'findOne', 'findOneAndDelete', 'findOneAndRemove', 'findOneAndReplace', 'findOneAndUpdate',
+  'deleteOne', 'deleteMany', 'replaceOne', 'updateOne', 'updateMany'
+];
+
+// Spans are kept off the mongoose objects themselves so they never leak into documents
+const activeQueries = new WeakMap();
+
+function logCall(message, fields, startedAt, error) {
+  const durationMs = Math.round((performance.now() - startedAt) * 1000) / 1000;
+  if (error) {
+    logger.warn(`${message} failed`, { ...fields, durationMs, err: error });
+  } else if (isLevelEnabled('debug')) {
+    logger.debug(message, { ...fields, durationMs });
+  }
+}
+
+function start(target, operation, collection) {
+  const span = startSpan(`mongo ${operation} ${collection}`, {
+    kind: SpanKind.CLIENT,
+    attributes: { 'db.system': 'mongodb', 'db.operation': operation, 'db.mongodb.collection': collection }
+  });
+  if (span || isLevelEnabled('warn')) {
+    activeQueries.set(target, { span, operation, collection, startedAt: performance.now() });
+  }
+}
+
+function finish(target, error) {
+  const query = activeQueries.get(target);
+  if (!query) {
+    return;
+  }
+  activeQueries.delete(target);
+  if (query.span) {
+    if (error) {
+      query.span.recordError(error);
+    }
+    query.span.end();
+  }
+  logCall('mongo query', { component: 'mongo', operation: query.operation, collection: query.collection }, query.startedAt, error);
+}
+
+// Span and log line around a call that has no mongoose middleware: model statics, and code that
+// goes to the driver collection directly
+async function traceMongo(operation, collection, fn) {
+  const target = {};
+  start(target, operation, collection);
+  try {
+    const result = await fn();
+    finish(target);
+    return result;
+  } catch (error) {
+    finish(target, error);
+    throw error;
+  }
+}
+
+// Registered with mongoose.plugin() before any model is compiled
+function mongooseTracingPlugin(schema) {
+  schema.pre(QUERY_OPS, function () {
+    start(this, this.op, this.mongooseCollection.name);
+  });
+  schema.post(QUERY_OPS, function () {
+    finish(this);
+  });
+  schema.post(QUERY_OPS, function (error, result, next) {
+    finish(this, error);
+    next(error);
+  });
+
+  schema.pre('aggregate', function () {
+    start(this, 'aggregate', this._model.collection.name);
+  });
+  schema.post('aggregate', function () {
+    finish(this);
+  });
+  schema.post('aggregate', function (error, result, next) {
+    finish(this, error);
+    next(error);
+  });
+
+  schema.pre('save', function () {
+    start(this, this.isNew ? 'insert' : 'save', this.collection.name);
+  });
+  schema.post('save', function () {
+    finish(this);
+  });
+  schema.post('save', function (error, doc, next) {
+    finish(this, error);
+    next(error);
+  });
+
+  // Model-level writes: mongoose 7 has no bulkWrite middleware, and insertMany middleware can't
+  // tell concurrent calls apart, so the model's statics are wrapped instead
+  ['insertMany', 'bulkWrite'].forEach(operation => {
+    schema.static(operation, function (...args) {
+      return traceMongo(operation, this.collection.name, () => mongoose.Model[operation].apply(this, args));
+    });
+  });
+}
+
+// ioredis has no hook API: wrap sendCommand on the instance, which every command goes through
+function instrumentRedis(redis) {
+  const sendCommand = redis.sendCommand;
+  redis.sendCommand = function (command, stream) {
+    const span = startSpan(`redis ${command.name}`, {
+      kind: SpanKind.CLIENT,
+      attributes: { 'db.system': 'redis', 'db.operation': command.name }
+    });
+    if (span || isLevelEnabled('warn')) {
+      const startedAt = performance.now();
+      const done = error => {
+        if (span) {
+          if (error) {
+            span.recordError(error);
+          }
+          span.end();
+        }
+        logCall('redis command', { component: 'redis', command: command.name }, startedAt, error);
+      };
+      command.promise.then(() => done(), done);
+    }
+    return sendCommand.call(this, command, stream);
+  };
+  return redis;
+}
+
+module.exports = {
+  traceMongo,
+  mongooseTracingPlugin,
+  instrumentRedis
+};
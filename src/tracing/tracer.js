@@ -0,0 +1,150 @@
+// Minimal W3C trace-context tracer: spans live in-process and are exported by ./exporter
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const exporter = require('./exporter');
+const { routeTemplate } = require('../routeTemplate');
+const { redactUrl } = require('../redact');
+
+const TRACING_ENABLED = process.env.TRACING !== 'off';
+// Tracing every request would add its own overhead to the lab's measurements, so by default
+// only 1% of requests start a trace; callers sending a sampled traceparent are always traced
+const SAMPLE_RATE = process.env.TRACE_SAMPLE_RATE === undefined ? 0.01 : parseFloat(process.env.TRACE_SAMPLE_RATE);
+
+// OTLP span kinds
+const SpanKind = { INTERNAL: 1, SERVER: 2, CLIENT: 3 };
+
+const storage = new AsyncLocalStorage();
+
+function nowNanos() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n;
+}
+
+class Span {
+  constructor(trace, name, { kind = SpanKind.INTERNAL, parentSpanId = null, attributes = {} } = {}) {
+    this.trace = trace;
+    this.traceId = trace.traceId;
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = parentSpanId;
+    this.name = name;
+    this.kind = kind;
+    this.attributes = { ...attributes };
+    this.status = { code: 0 };
+    this.startTime = nowNanos();
+    this.endTime = null;
+    trace.spans.push(this);
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+  }
+
+  recordError(error) {
+    this.status = { code: 2, message: error && error.message ? error.message : String(error) };
+    return this;
+  }
+
+  end() {
+    if (this.endTime !== null) {
+      return;
+    }
+    this.endTime = nowNanos();
+    if (this.status.code === 0) {
+      this.status = { code: 1 };
+    }
+    if (this === this.trace.root) {
+      exporter.exportTrace(this.trace);
+    }
+  }
+}
+
+// traceparent: version-traceId-parentId-flags, e.g. 00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01
+function parseTraceparent(header) {
+  const match = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(String(header || '').trim());
+  if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+    return null;
+  }
+  return { traceId: match[2], parentSpanId: match[3], sampled: (parseInt(match[4], 16) & 1) === 1 };
+}
+
+function formatTraceparent(span) {
+  return `00-${span.traceId}-${span.spanId}-01`;
+}
+
+function getActiveSpan() {
+  return storage.getStore();
+}
+
+// Start a child of the active span; returns null when the current request isn't traced
+function startSpan(name, options = {}) {
+  const parent = getActiveSpan();
+  if (!parent) {
+    return null;
+  }
+  return new Span(parent.trace, name, { ...options, parentSpanId: parent.spanId });
+}
+
+// Run fn inside a child span that is active for everything fn awaits
+async function withSpan(name, options, fn) {
+  const span = startSpan(name, options);
+  if (!span) {
+    return fn(null);
+  }
+  try {
+    return await storage.run(span, () => fn(span));
+  } catch (error) {
+    span.recordError(error);
+    throw error;
+  } finally {
+    span.end();
+  }
+}
+
+// Express middleware: continue the caller's trace (or start one) and make the server span active
+function tracingMiddleware(req, res, next) {
+  if (!TRACING_ENABLED) {
+    return next();
+  }
+
+  const incoming = parseTraceparent(req.get('traceparent'));
+  const sampled = incoming ? incoming.sampled : Math.random() < SAMPLE_RATE;
+  if (!sampled) {
+    return next();
+  }
+
+  const trace = { traceId: incoming ? incoming.traceId : crypto.randomBytes(16).toString('hex'), spans: [], root: null };
+  const span = new Span(trace, `${req.method} ${req.path}`, {
+    kind: SpanKind.SERVER,
+    parentSpanId: incoming ? incoming.parentSpanId : null,
+    attributes: { 'http.method': req.method, 'http.target': redactUrl(req.originalUrl) }
+  });
+  trace.root = span;
+
+  res.set('traceparent', formatTraceparent(span));
+  res.once('close', () => {
+    // Name the span after the route template once Express has matched it
+    span.name = `${req.method} ${routeTemplate(req)}`;
+    span.setAttribute('http.status_code', res.statusCode);
+    if (res.statusCode >= 500) {
+      span.recordError(`HTTP ${res.statusCode}`);
+    }
+    if (!res.writableFinished) {
+      span.setAttribute('http.aborted', true);
+    }
+    span.end();
+  });
+
+  storage.run(span, next);
+}
+
+module.exports = {
+  SpanKind,
+  Span,
+  parseTraceparent,
+  formatTraceparent,
+  getActiveSpan,
+  startSpan,
+  withSpan,
+  tracingMiddleware
+};
@@ -0,0 +1,91 @@
+// Renders recent traces as a self-contained HTML waterfall
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// Parent-before-child order, with depth for indentation
+function orderSpans(spans) {
+  const children = new Map();
+  const ids = new Set(spans.map(span => span.spanId));
+  for (const span of spans) {
+    const parent = ids.has(span.parentSpanId) ? span.parentSpanId : null;
+    if (!children.has(parent)) {
+      children.set(parent, []);
+    }
+    children.get(parent).push(span);
+  }
+
+  const ordered = [];
+  const visit = (parentId, depth) => {
+    const list = (children.get(parentId) || []).sort((a, b) => (BigInt(a.startTimeUnixNano) < BigInt(b.startTimeUnixNano) ? -1 : 1));
+    for (const span of list) {
+      ordered.push({ span, depth });
+      visit(span.spanId, depth + 1);
+    }
+  };
+  visit(null, 0);
+  return ordered;
+}
+
+function renderTrace(trace) {
+  const spans = orderSpans(trace.spans);
+  const traceStart = spans.reduce((min, { span }) => {
+    const start = BigInt(span.startTimeUnixNano);
+    return start < min ? start : min;
+  }, BigInt(spans[0].span.startTimeUnixNano));
+  const totalNanos = Number(trace.durationMs * 1e6) || 1;
+
+  const rows = spans.map(({ span, depth }) => {
+    const offset = Number(BigInt(span.startTimeUnixNano) - traceStart);
+    const duration = Number(BigInt(span.endTimeUnixNano) - BigInt(span.startTimeUnixNano));
+    const left = Math.min(100, (offset / totalNanos) * 100);
+    const width = Math.max(0.2, Math.min(100 - left, (duration / totalNanos) * 100));
+    const error = span.status && span.status.code === 2;
+    const title = span.attributes.map(({ key, value }) => `${key}=${Object.values(value)[0]}`).join('\n');
+    return `<tr title="${escapeHtml(title)}">
+      <td class="name" style="padding-left:${depth * 16 + 4}px">${escapeHtml(span.name)}</td>
+      <td class="ms">${(duration / 1e6).toFixed(2)}ms</td>
+      <td class="bar"><div class="${error ? 'span error' : 'span'}" style="left:${left}%;width:${width}%"></div></td>
+    </tr>`;
+  }).join('\n');
+
+  return `<section>
+    <h2>${escapeHtml(trace.name)} <small>${trace.durationMs.toFixed(1)}ms · ${trace.spans.length} spans · ${escapeHtml(trace.startedAt)} · ${escapeHtml(trace.traceId)}</small></h2>
+    <table>${rows}</table>
+  </section>`;
+}
+
+function renderWaterfallPage(traces, { minMs }) {
+  const body = traces.length
+    ? traces.map(renderTrace).join('\n')
+    : `<p>No traces slower than ${minMs}ms yet.</p>`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Recent slow traces</title>
+<style>
+  body { font-family: -apple-system, sans-serif; margin: 20px; color: #222; }
+  h2 { font-size: 15px; margin: 24px 0 6px; }
+  small { color: #777; font-weight: normal; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  tr:hover { background: #f4f4f4; }
+  td { padding: 2px 4px; white-space: nowrap; }
+  td.name { width: 30%; overflow: hidden; text-overflow: ellipsis; max-width: 0; }
+  td.ms { width: 70px; text-align: right; color: #555; }
+  td.bar { position: relative; }
+  .span { position: absolute; top: 3px; height: 12px; background: #4a90d9; border-radius: 2px; }
+  .span.error { background: #d9534f; }
+</style>
+</head>
+<body>
+<h1>Recent slow traces (&ge; ${minMs}ms)</h1>
+${body}
+</body>
+</html>`;
+}
+
+module.exports = {
+  renderWaterfallPage
+};
@@ -0,0 +1,150 @@
+// Declarative validation for req.params, req.query and req.body.
+// A schema maps field names to rules:
+//   type: string | integer | number | boolean | objectId | date | array | object
+//   required, default, enum, min, max (numbers), minLength, maxLength, pattern (strings),
+//   minItems, maxItems, items (arrays), properties (objects)
+// Query and params values arrive as strings and are coerced to their type; the coerced
+// values replace the originals so handlers can use them directly. Dates are ISO 8601 strings
+// (2024-01-31 or a full timestamp) wherever they appear and become Date objects.
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+function coerce(value, type, location) {
+  if (type === 'date' && typeof value === 'string' && ISO_DATE.test(value)) {
+    return new Date(value);
+  }
+  if (location === 'body' || typeof value !== 'string') {
+    return value;
+  }
+  if (type === 'integer' || type === 'number') {
+    return value.trim() === '' ? NaN : Number(value);
+  }
+  if (type === 'boolean') {
+    return value === 'true' ? true : value === 'false' ? false : value;
+  }
+  return value;
+}
+
+function typeError(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'integer':
+      return Number.isInteger(value) ? null : 'must be an integer';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'objectId':
+      return typeof value === 'string' && mongoose.isObjectIdOrHexString(value) ? null : 'must be a valid ObjectId';
+    case 'date':
+      return value instanceof Date && !Number.isNaN(value.getTime()) ? null : 'must be an ISO 8601 date';
+    case 'array':
+      return Array.isArray(value) ? null : 'must be an array';
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    default:
+      return null;
+  }
+}
+
+// Returns the (possibly coerced) value; problems are pushed onto errors
+function check(value, rule, field, location, errors) {
+  if (value === undefined || value === null || value === '') {
+    if (rule.required) {
+      errors.push({ location, field, message: 'is required' });
+    }
+    return rule.default !== undefined ? rule.default : value;
+  }
+
+  const coerced = coerce(value, rule.type, location);
+  const fail = message => errors.push({ location, field, message });
+  const problem = typeError(coerced, rule.type);
+  if (problem) {
+    fail(problem);
+    return coerced;
+  }
+
+  if (rule.enum && !rule.enum.includes(coerced)) {
+    fail(`must be one of: ${rule.enum.join(', ')}`);
+  }
+  if (rule.min !== undefined && coerced < rule.min) {
+    fail(`must be >= ${rule.min}`);
+  }
+  if (rule.max !== undefined && coerced > rule.max) {
+    fail(`must be <= ${rule.max}`);
+  }
+  if (rule.minLength !== undefined && coerced.length < rule.minLength) {
+    fail(`must be at least ${rule.minLength} characters`);
+  }
+  if (rule.maxLength !== undefined && coerced.length > rule.maxLength) {
+    fail(`must be at most ${rule.maxLength} characters`);
+  }
+  if (rule.pattern && !rule.pattern.test(coerced)) {
+    fail(`must match ${rule.pattern}`);
+  }
+  if (rule.type === 'array') {
+    if (rule.minItems !== undefined && coerced.length < rule.minItems) {
+      fail(`must have at least ${rule.minItems} items`);
+    }
+    if (rule.maxItems !== undefined && coerced.length > rule.maxItems) {
+      fail(`must have at most ${rule.maxItems} items`);
+    }
+    if (rule.items) {
+      return coerced.map((item, i) => check(item, rule.items, `${field}[${i}]`, location, errors));
+    }
+  }
+  if (rule.type === 'object' && rule.properties) {
+    return { ...coerced, ...checkFields(coerced, rule.properties, location, errors, `${field}.`) };
+  }
+  return coerced;
+}
+
+function checkFields(values, schema, location, errors, prefix = '') {
+  const result = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = check(values[field], rule, prefix + field, location, errors);
+    if (value !== undefined) {
+      result[field] = value;
+    }
+  }
+  return result;
+}
+
+// Validate one object outside a request (e.g. a line of an NDJSON upload): { value, errors }
+function validateObject(values, schema, location = 'body') {
+  const errors = [];
+  if (typeError(values, 'object')) {
+    return { value: values, errors: [{ location, field: '', message: 'must be an object' }] };
+  }
+  const value = { ...values, ...checkFields(values, schema, location, errors) };
+  return { value, errors };
+}
+
+// Middleware: validate({ params, query, body }) with a schema per location.
+// Fields not in a schema are left untouched.
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) {
+        continue;
+      }
+      const result = validateObject(req[location] || {}, schemas[location], location);
+      errors.push(...result.errors);
+      req[location] = result.value;
+    }
+    if (errors.length) {
+      return next(new ValidationError('Request validation failed', errors));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  validateObject
+};
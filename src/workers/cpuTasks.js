@@ -0,0 +1,23 @@
+// CPU-bound tasks that can run either on the request path or in the worker pool.
+// Plain synchronous functions, so the worker can load them without the rest of the app.
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+module.exports = {
+  hashPassword: ({ password, rounds = 12 }) => bcrypt.hashSync(password, rounds),
+
+  cpuIntensive: ({ duration = 1000 }) => {
+    const start = Date.now();
+    while (Date.now() - start < duration) {
+      crypto.pbkdf2Sync('secret', 'salt', 100000, 64, 'sha512');
+    }
+  },
+
+  blockEventLoop: ({ duration = 500 }) => {
+    const start = Date.now();
+    while (Date.now() - start < duration) {
+      // Tight loop blocking event loop
+      Math.sqrt(Math.random());
+    }
+  }
+};
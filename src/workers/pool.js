@@ -0,0 +1,206 @@
+// Fixed-size worker_threads pool with a bounded queue, per-task timeouts and cancellation
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const bcrypt = require('bcrypt');
+const cpuTasks = require('./cpuTasks');
+const {
+  workerPoolQueueDepth,
+  workerPoolWaitTime,
+  workerPoolTaskDuration,
+  workerPoolUtilization
+} = require('../metrics');
+const { ServiceUnavailableError, ClientClosedRequestError } = require('../errors');
+
+// inline: run on the request path (the default, to show the problem); pool: offload to worker threads
+const CPU_OFFLOAD = process.env.CPU_OFFLOAD === 'pool' ? 'pool' : 'inline';
+const POOL_SIZE = parseInt(process.env.WORKER_POOL_SIZE) || Math.max(1, (os.availableParallelism ? os.availableParallelism() : os.cpus().length) - 1);
+const MAX_QUEUE = parseInt(process.env.WORKER_POOL_MAX_QUEUE) || 100;
+const TASK_TIMEOUT_MS = parseInt(process.env.WORKER_POOL_TASK_TIMEOUT_MS) || 30000;
+
+class PoolQueueFullError extends ServiceUnavailableError {
+  constructor() {
+    super(`Worker pool queue is full (${MAX_QUEUE} tasks waiting)`, undefined, 1);
+  }
+}
+
+// A saturated pool, like a full queue: the client may retry once it has drained
+class TaskTimeoutError extends ServiceUnavailableError {
+  constructor(task, timeoutMs) {
+    super(`Task ${task} timed out after ${timeoutMs}ms`, { task, timeoutMs }, 1);
+  }
+}
+
+// Cancelled because the request's client went away
+class TaskCancelledError extends ClientClosedRequestError {
+  constructor(task) {
+    super(`Task ${task} was cancelled`);
+  }
+}
+
+class WorkerPool {
+  constructor({ size = POOL_SIZE, maxQueue = MAX_QUEUE } = {}) {
+    this.size = size;
+    this.maxQueue = maxQueue;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.nextId = 1;
+    for (let i = 0; i < size; i++) {
+      this.addWorker();
+    }
+  }
+
+  addWorker() {
+    const worker = new Worker(path.join(__dirname, 'taskWorker.js'));
+    worker.current = null;
+    worker.on('message', message => this.onMessage(worker, message));
+    worker.on('error', error => this.onWorkerExit(worker, error));
+    worker.on('exit', code => this.onWorkerExit(worker, new Error(`Worker exited with code ${code}`)));
+    worker.unref();
+    this.workers.push(worker);
+    this.idle.push(worker);
+  }
+
+  // Terminating is the only way to stop synchronous work; a fresh worker takes its place
+  replaceWorker(worker) {
+    worker.removeAllListeners();
+    worker.on('error', () => {});
+    worker.terminate();
+    this.workers = this.workers.filter(w => w !== worker);
+    this.idle = this.idle.filter(w => w !== worker);
+    this.addWorker();
+  }
+
+  run(task, payload, { timeoutMs = TASK_TIMEOUT_MS, signal } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(new TaskCancelledError(task));
+    }
+    if (this.queue.length >= this.maxQueue) {
+      return Promise.reject(new PoolQueueFullError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { id: this.nextId++, task, payload, timeoutMs, signal, resolve, reject, enqueuedAt: process.hrtime.bigint() };
+      if (signal) {
+        job.onAbort = () => this.cancel(job);
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+      this.queue.push(job);
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.idle.length && this.queue.length) {
+      const worker = this.idle.shift();
+      const job = this.queue.shift();
+      worker.current = job;
+      job.worker = worker;
+      job.startedAt = process.hrtime.bigint();
+      workerPoolWaitTime.labels(job.task).observe(Number(job.startedAt - job.enqueuedAt) / 1e9);
+      job.timer = setTimeout(() => this.fail(job, new TaskTimeoutError(job.task, job.timeoutMs), 'timeout'), job.timeoutMs);
+      worker.postMessage({ id: job.id, task: job.task, payload: job.payload });
+    }
+    this.reportMetrics();
+  }
+
+  onMessage(worker, { id, result, error }) {
+    const job = worker.current;
+    if (!job || job.id !== id) {
+      return;
+    }
+    if (error) {
+      const taskError = new Error(error.message);
+      taskError.stack = error.stack;
+      this.settle(job, 'error');
+      job.reject(taskError);
+    } else {
+      this.settle(job, 'success');
+      job.resolve(result);
+    }
+    worker.current = null;
+    this.idle.push(worker);
+    this.dispatch();
+  }
+
+  onWorkerExit(worker, error) {
+    const job = worker.current;
+    worker.current = null;
+    this.replaceWorker(worker);
+    if (job) {
+      this.settle(job, 'error');
+      job.reject(error);
+    }
+    this.dispatch();
+  }
+
+  // Timeout or cancellation of a job that may already be running
+  fail(job, error, outcome) {
+    if (job.worker) {
+      job.worker.current = null;
+      this.replaceWorker(job.worker);
+    }
+    this.settle(job, outcome);
+    job.reject(error);
+    this.dispatch();
+  }
+
+  cancel(job) {
+    const index = this.queue.indexOf(job);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+      this.settle(job, 'cancelled');
+      job.reject(new TaskCancelledError(job.task));
+      this.reportMetrics();
+    } else if (job.worker && job.worker.current === job) {
+      this.fail(job, new TaskCancelledError(job.task), 'cancelled');
+    }
+  }
+
+  settle(job, outcome) {
+    clearTimeout(job.timer);
+    if (job.signal) {
+      job.signal.removeEventListener('abort', job.onAbort);
+    }
+    const started = job.startedAt || process.hrtime.bigint();
+    workerPoolTaskDuration.labels(job.task, outcome).observe(Number(process.hrtime.bigint() - started) / 1e9);
+  }
+
+  reportMetrics() {
+    workerPoolQueueDepth.set(this.queue.length);
+    workerPoolUtilization.set((this.size - this.idle.length) / this.size);
+  }
+}
+
+let pool = null;
+
+function getPool() {
+  if (!pool) {
+    pool = new WorkerPool();
+  }
+  return pool;
+}
+
+// Run a CPU-bound task inline or in the pool, depending on CPU_OFFLOAD
+async function runCpuTask(task, payload, options = {}) {
+  if (CPU_OFFLOAD === 'pool') {
+    return getPool().run(task, payload, options);
+  }
+  if (task === 'hashPassword') {
+    // bcrypt's async API already hashes on the libuv threadpool
+    return bcrypt.hash(payload.password, payload.rounds);
+  }
+  return cpuTasks[task](payload);
+}
+
+module.exports = {
+  CPU_OFFLOAD,
+  TASK_TIMEOUT_MS,
+  WorkerPool,
+  PoolQueueFullError,
+  TaskTimeoutError,
+  TaskCancelledError,
+  getPool,
+  runCpuTask
+};
@@ -0,0 +1,12 @@
+// Worker thread entry point: runs one task at a time from ./cpuTasks
+const { parentPort } = require('worker_threads');
+const tasks = require('./cpuTasks');
+
+parentPort.on('message', ({ id, task, payload }) => {
+  try {
+    const result = tasks[task](payload);
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: { message: error.message, stack: error.stack } });
+  }
+});
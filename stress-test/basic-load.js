@@ -60,6 +60,62 @@ const scenarios = [
         weight: 1
       }
     ]
+  },
+  {
+    name: 'Deep Offset Pagination',
+    url: 'http://localhost:3000',
+    connections: 10,
+    duration: 30,
+    requests: [
+      {
+        method: 'GET',
+        path: '/api/products?page=500&limit=20'
+      }
+    ]
+  },
+  {
+    name: 'Keyset Pagination Walk',
+    url: 'http://localhost:3000',
+    connections: 10,
+    duration: 30,
+    requests: [
+      {
+        method: 'GET',
+        // Each connection follows its own next cursor, starting over at the end
+        setupRequest: (req, context) => ({
+          ...req,
+          path: `/api/products?pagination=cursor&limit=20${context.cursor ? `&cursor=${context.cursor}` : ''}`
+        }),
+        onResponse: (status, body, context) => {
+          context.cursor = status === 200 ? JSON.parse(body).next : null;
+        }
+      }
+    ]
+  },
+  // Run these two back to back and compare latency and nodejs_heap_size_used_bytes on /metrics
+  {
+    name: 'Streamed Export',
+    url: 'http://localhost:3000',
+    connections: 5,
+    duration: 30,
+    requests: [
+      {
+        method: 'GET',
+        path: '/api/orders/export?format=ndjson'
+      }
+    ]
+  },
+  {
+    name: 'Buffered Export',
+    url: 'http://localhost:3000',
+    connections: 5,
+    duration: 30,
+    requests: [
+      {
+        method: 'GET',
+        path: '/api/orders/export?format=ndjson&delivery=buffered'
+      }
+    ]
   }
 ];
 
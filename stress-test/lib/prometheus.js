@@ -0,0 +1,296 @@
+// Scrapes the app's /metrics and turns two scrapes into what happened between them: per-route
+// latency histograms, database query times, cache hit ratios and runtime (heap, GC, CPU) figures.
+// Histogram percentiles are estimated like PromQL's histogram_quantile, so they are only as
+// precise as the buckets.
+const HTTP_DURATION = /^http_request_duration(?:_(\w+))?_seconds_(bucket|sum|count)$/;
+
+function unescapeLabel(value) {
+  return value.replace(/\\(["\\n])/g, (match, char) => (char === 'n' ? '\n' : char));
+}
+
+function parseValue(value) {
+  if (value === '+Inf') {
+    return Infinity;
+  }
+  if (value === '-Inf') {
+    return -Infinity;
+  }
+  return Number(value);
+}
+
+// Prometheus text exposition -> [{ name, labels, value }]
+function parseMetrics(text) {
+  const samples = [];
+  text.split('\n').forEach(line => {
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+    const match = /^([a-zA-Z_:][\w:]*)(?:\{(.*)\})?\s+(\S+)/.exec(line);
+    if (!match) {
+      return;
+    }
+    const labels = {};
+    const labelPattern = /(\w+)="((?:[^"\\]|\\.)*)"/g;
+    let label;
+    while ((label = labelPattern.exec(match[2] || '')) !== null) {
+      labels[label[1]] = unescapeLabel(label[2]);
+    }
+    samples.push({ name: match[1], labels, value: parseValue(match[3]) });
+  });
+  return samples;
+}
+
+async function scrapeMetrics(target, { timeoutMs = 10000 } = {}) {
+  const response = await fetch(`${target}/metrics`, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!response.ok) {
+    throw new Error(`${target}/metrics answered ${response.status}`);
+  }
+  return { scrapedAt: new Date().toISOString(), samples: parseMetrics(await response.text()) };
+}
+
+// Histogram samples grouped by key(labels): { count, sum, buckets: Map(le -> cumulative count) }
+function collectHistograms(samples, matches, key) {
+  const groups = new Map();
+  samples.forEach(sample => {
+    const part = matches(sample.name);
+    if (!part) {
+      return;
+    }
+    const id = key(sample.labels, sample.name);
+    if (id === null) {
+      return;
+    }
+    if (!groups.has(id)) {
+      groups.set(id, { count: 0, sum: 0, buckets: new Map() });
+    }
+    const group = groups.get(id);
+    if (part === 'bucket') {
+      const le = parseValue(sample.labels.le);
+      group.buckets.set(le, (group.buckets.get(le) || 0) + sample.value);
+    } else {
+      group[part] += sample.value;
+    }
+  });
+  return groups;
+}
+
+function histogramPart(name, base) {
+  if (name.startsWith(`${base}_`)) {
+    const part = name.slice(base.length + 1);
+    return ['bucket', 'sum', 'count'].includes(part) ? part : null;
+  }
+  return null;
+}
+
+// after - before; a counter that went down means the app restarted, so after is taken whole
+function subtractHistogram(after, before) {
+  if (!before || after.count < before.count) {
+    return { count: after.count, sum: after.sum, buckets: new Map(after.buckets), reset: Boolean(before) };
+  }
+  const buckets = new Map();
+  after.buckets.forEach((count, le) => buckets.set(le, count - (before.buckets.get(le) || 0)));
+  return { count: after.count - before.count, sum: after.sum - before.sum, buckets, reset: false };
+}
+
+function diffHistograms(before, after) {
+  const deltas = new Map();
+  after.forEach((histogram, id) => {
+    const delta = subtractHistogram(histogram, before.get(id));
+    if (delta.count > 0) {
+      deltas.set(id, delta);
+    }
+  });
+  return deltas;
+}
+
+// histogram_quantile over cumulative buckets, in the histogram's unit
+function quantile(buckets, q) {
+  const sorted = Array.from(buckets.entries()).sort(([a], [b]) => a - b);
+  const total = sorted.length ? sorted[sorted.length - 1][1] : 0;
+  if (!total) {
+    return null;
+  }
+  const rank = q * total;
+  let previousLe = 0;
+  let previousCount = 0;
+  for (const [le, count] of sorted) {
+    if (count >= rank) {
+      if (le === Infinity) {
+        return previousLe;
+      }
+      return previousLe + (le - previousLe) * (count > previousCount ? (rank - previousCount) / (count - previousCount) : 0);
+    }
+    previousLe = le;
+    previousCount = count;
+  }
+  return previousLe;
+}
+
+const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+
+// Seconds histogram -> { count, meanMs, p50, p90, p99 (ms), buckets: [{ leMs, count }] } with
+// per-bucket (not cumulative) counts; the last bucket's leMs is null (+Inf)
+function describeHistogram(histogram, { withBuckets = false } = {}) {
+  const summary = {
+    count: histogram.count,
+    meanMs: round(histogram.sum / histogram.count * 1000),
+    p50: round(quantile(histogram.buckets, 0.5) * 1000),
+    p90: round(quantile(histogram.buckets, 0.9) * 1000),
+    p99: round(quantile(histogram.buckets, 0.99) * 1000)
+  };
+  if (histogram.reset) {
+    summary.reset = true;
+  }
+  if (withBuckets) {
+    let previous = 0;
+    summary.buckets = Array.from(histogram.buckets.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([le, count]) => {
+        const bucket = { leMs: le === Infinity ? null : round(le * 1000), count: count - previous };
+        previous = count;
+        return bucket;
+      });
+  }
+  return summary;
+}
+
+function counterDeltas(before, after, name, key) {
+  const totals = new Map();
+  const add = (samples, sign) => samples.forEach(sample => {
+    if (sample.name === name) {
+      const id = key(sample.labels);
+      totals.set(id, (totals.get(id) || 0) + sign * sample.value);
+    }
+  });
+  add(after, 1);
+  add(before, -1);
+  return totals;
+}
+
+function gauge(samples, name) {
+  const matching = samples.filter(sample => sample.name === name);
+  return matching.length ? matching.reduce((sum, sample) => sum + sample.value, 0) : null;
+}
+
+// Buckets the observations fell into: how finely a histogram resolves them
+function usedBuckets(histogram) {
+  let previous = 0;
+  return Array.from(histogram.buckets.entries())
+    .sort(([a], [b]) => a - b)
+    .filter(([, count]) => {
+      const used = count > previous;
+      previous = count;
+      return used;
+    }).length;
+}
+
+// Per route: whichever of the default and the route's bucket profile histogram spreads this
+// run's requests over more buckets; a slow profile can be coarser than the default for a route
+// that turned out fast
+function routeLatencies(before, after) {
+  const key = (labels, name) => {
+    const profile = HTTP_DURATION.exec(name)[1] || 'default';
+    return labels.route === '/metrics' ? null : `${profile}\t${labels.method} ${labels.route}`;
+  };
+  const matches = name => {
+    const match = HTTP_DURATION.exec(name);
+    return match ? match[2] : null;
+  };
+  const deltas = diffHistograms(collectHistograms(before, matches, key), collectHistograms(after, matches, key));
+  const chosen = new Map();
+  deltas.forEach((histogram, id) => {
+    const [profile, route] = id.split('\t');
+    const current = chosen.get(route);
+    const resolution = usedBuckets(histogram);
+    if (!current || resolution > current.resolution || (resolution === current.resolution && profile !== 'default')) {
+      chosen.set(route, { histogram, profile, resolution });
+    }
+  });
+  const routes = {};
+  chosen.forEach(({ histogram, profile }, route) => {
+    routes[route] = { ...describeHistogram(histogram, { withBuckets: true }), bucketProfile: profile };
+  });
+
+  const statuses = counterDeltas(before, after, 'http_requests_total', labels => `${labels.method} ${labels.route}\t${labels.status}`);
+  statuses.forEach((count, id) => {
+    const [route, status] = id.split('\t');
+    if (routes[route] && count > 0) {
+      routes[route].statuses = routes[route].statuses || {};
+      routes[route].statuses[status] = count;
+    }
+  });
+  return routes;
+}
+
+function dbLatencies(before, after) {
+  const matches = name => histogramPart(name, 'db_query_duration_seconds');
+  const key = labels => `${labels.operation} ${labels.collection}`;
+  const queries = {};
+  diffHistograms(collectHistograms(before, matches, key), collectHistograms(after, matches, key))
+    .forEach((histogram, id) => { queries[id] = describeHistogram(histogram); });
+  return queries;
+}
+
+// Served from cache: hit and stale; coalesced requests waited on another request's fill
+function cacheRatios(before, after) {
+  const namespaces = {};
+  counterDeltas(before, after, 'cache_operations_total', labels => `${labels.namespace}\t${labels.operation}\t${labels.result}`)
+    .forEach((count, id) => {
+      const [namespace, operation, result] = id.split('\t');
+      if (operation !== 'get' || count <= 0) {
+        return;
+      }
+      namespaces[namespace] = namespaces[namespace] || { gets: 0, hit: 0, miss: 0, stale: 0, coalesced: 0 };
+      namespaces[namespace][result] = (namespaces[namespace][result] || 0) + count;
+      namespaces[namespace].gets += count;
+    });
+  Object.values(namespaces).forEach(namespace => {
+    namespace.hitRatio = round((namespace.hit + namespace.stale) / namespace.gets);
+  });
+  return namespaces;
+}
+
+function runtimeFigures(before, after, intervalSeconds) {
+  const change = name => ({ before: gauge(before, name), after: gauge(after, name) });
+  const cpu = (gauge(after, 'process_cpu_seconds_total') || 0) - (gauge(before, 'process_cpu_seconds_total') || 0);
+
+  const gcMatches = name => histogramPart(name, 'gc_pause_seconds');
+  const gc = {};
+  diffHistograms(collectHistograms(before, gcMatches, labels => labels.kind), collectHistograms(after, gcMatches, labels => labels.kind))
+    .forEach((histogram, kind) => {
+      gc[kind] = { ...describeHistogram(histogram), totalMs: round(histogram.sum * 1000) };
+    });
+
+  const lagMatches = name => histogramPart(name, 'eventloop_lag_seconds');
+  const lag = diffHistograms(collectHistograms(before, lagMatches, () => 'all'), collectHistograms(after, lagMatches, () => 'all')).get('all');
+
+  return {
+    heapUsedBytes: change('nodejs_heap_size_used_bytes'),
+    heapTotalBytes: change('nodejs_heap_size_total_bytes'),
+    rssBytes: change('process_resident_memory_bytes'),
+    cpuSeconds: round(cpu),
+    cpuUtilization: intervalSeconds ? round(cpu / intervalSeconds) : null,
+    gc,
+    gcPauseTotalMs: round(Object.values(gc).reduce((sum, kind) => sum + kind.totalMs, 0)),
+    eventLoopLag: lag ? describeHistogram(lag) : null
+  };
+}
+
+// Two scrapes -> { interval, routes, db, cache, runtime }, JSON-safe for the result file
+function diffMetrics(before, after) {
+  const intervalSeconds = (Date.parse(after.scrapedAt) - Date.parse(before.scrapedAt)) / 1000;
+  return {
+    interval: { from: before.scrapedAt, to: after.scrapedAt, seconds: intervalSeconds },
+    routes: routeLatencies(before.samples, after.samples),
+    db: dbLatencies(before.samples, after.samples),
+    cache: cacheRatios(before.samples, after.samples),
+    runtime: runtimeFigures(before.samples, after.samples, intervalSeconds)
+  };
+}
+
+module.exports = {
+  parseMetrics,
+  scrapeMetrics,
+  diffMetrics,
+  quantile
+};
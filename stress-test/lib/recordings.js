@@ -0,0 +1,71 @@
+// Reads traffic recorded by src/recording.js: each file is a header line, whose startedAt anchors
+// the relative times (t, ms) of the request lines after it. Files from several workers or
+// rotations merge into one timeline.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const FILE_PATTERN = /^recording-.+\.jsonl$/;
+
+// Files as given, directories as the recordings in them
+function listFiles(inputs) {
+  const files = [];
+  inputs.forEach(input => {
+    if (fs.statSync(input).isDirectory()) {
+      fs.readdirSync(input).filter(name => FILE_PATTERN.test(name)).sort()
+        .forEach(name => files.push(path.join(input, name)));
+    } else {
+      files.push(input);
+    }
+  });
+  return files;
+}
+
+async function readFile(file, records) {
+  let header = null;
+  let skipped = 0;
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      skipped++;
+      continue;
+    }
+    if (!header) {
+      if (!entry.recording || Number.isNaN(Date.parse(entry.startedAt))) {
+        throw new Error(`${file}: not a recording (no header line)`);
+      }
+      header = entry;
+    } else if (typeof entry.t === 'number' && entry.method && entry.path) {
+      records.push({ ...entry, at: Date.parse(header.startedAt) + entry.t });
+    } else {
+      skipped++;
+    }
+  }
+  return skipped;
+}
+
+// { files, records, skipped }: records in the order they arrived, each with offset (ms since
+// the first one). limit keeps the first N.
+async function loadRecordings(inputs, { limit = Infinity } = {}) {
+  const files = listFiles(inputs);
+  const records = [];
+  let skipped = 0;
+  for (const file of files) {
+    skipped += await readFile(file, records);
+  }
+  records.sort((a, b) => a.at - b.at);
+  const kept = records.slice(0, limit);
+  const origin = kept.length ? kept[0].at : 0;
+  kept.forEach(record => { record.offset = record.at - origin; });
+  return { files, records: kept, skipped };
+}
+
+module.exports = {
+  loadRecordings
+};
@@ -0,0 +1,391 @@
+// Renders load test results (stress-test/load.js) as a self-contained HTML or Markdown report:
+// client-side latencies, the server's view of the same run (result.server, from /metrics) and,
+// given two results, both side by side with the change between them.
+//
+// Sections are built once as tables and histograms, then written out in either format.
+const ROUTE_PARAM = /^:/;
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function number(value, digits = 2) {
+  return value === null || value === undefined || Number.isNaN(value) ? '-' : String(round(value, digits));
+}
+
+function percent(ratio) {
+  return ratio === null || ratio === undefined ? '-' : `${round(ratio * 100, 1)}%`;
+}
+
+function megabytes(bytes) {
+  return bytes === null || bytes === undefined ? '-' : `${round(bytes / 1024 / 1024, 1)} MB`;
+}
+
+function change(a, b) {
+  if (typeof a !== 'number' || typeof b !== 'number' || !a) {
+    return '-';
+  }
+  const value = round((b - a) / a * 100, 1);
+  return `${value > 0 ? '+' : ''}${value}%`;
+}
+
+function label(result, index) {
+  return `${String.fromCharCode(65 + index)}: ${result.scenario} @ ${result.startedAt.slice(0, 16).replace('T', ' ')}`;
+}
+
+// One column per run, plus the change when comparing
+function columns(name, runs) {
+  return runs.length === 1 ? [name] : [`${name} A`, `${name} B`, 'Δ'];
+}
+
+// For tables whose rows are the metrics
+function runColumns(runs) {
+  return runs.length === 1 ? ['Value'] : ['A', 'B', 'Δ'];
+}
+
+function cells(runs, read, format = number) {
+  const values = runs.map(run => {
+    try {
+      return read(run);
+    } catch (error) {
+      return undefined;
+    }
+  });
+  const formatted = values.map(value => format(value));
+  return runs.length === 1 ? formatted : [...formatted, change(values[0], values[1])];
+}
+
+function union(runs, keysOf) {
+  const keys = [];
+  runs.forEach(run => (keysOf(run) || []).forEach(key => {
+    if (!keys.includes(key)) {
+      keys.push(key);
+    }
+  }));
+  return keys;
+}
+
+// The server route a scenario request lands on: same method, every literal path segment equal,
+// templated segments ({{...}}) only on route parameters. The most literal match wins.
+function matchRoute(request, routes) {
+  const segments = request.path.split('?')[0].split('/');
+  let best = null;
+  let bestScore = -1;
+  let tie = false;
+  routes.forEach(route => {
+    const [method, template] = route.split(' ');
+    const parts = template.split('/');
+    if (method !== request.method || parts.length !== segments.length) {
+      return;
+    }
+    let score = 0;
+    for (let i = 0; i < parts.length; i++) {
+      const templated = segments[i].includes('{{');
+      if (ROUTE_PARAM.test(parts[i])) {
+        continue;
+      }
+      if (templated || parts[i] !== segments[i]) {
+        return;
+      }
+      score++;
+    }
+    if (score > bestScore) {
+      best = route;
+      bestScore = score;
+      tie = false;
+    } else if (score === bestScore) {
+      tie = true;
+    }
+  });
+  return tie ? null : best;
+}
+
+function overviewSection(runs) {
+  const text = read => runs.map(run => {
+    const value = read(run);
+    return value === null || value === undefined ? '-' : String(value);
+  });
+  const rows = [
+    ['Scenario', ...text(run => run.scenario)],
+    ['Target', ...text(run => run.target)],
+    ['Started', ...text(run => run.startedAt)],
+    ['Dataset', ...text(run => (run.dataset && run.dataset.fingerprint ? run.dataset.fingerprint.slice(0, 12) : 'unknown'))]
+  ].map(row => (runs.length === 1 ? row : [...row, '']));
+  rows.push(
+    ['Duration (s)', ...cells(runs, run => run.durationSeconds)],
+    ['Requests', ...cells(runs, run => run.requests.total, value => number(value, 0))],
+    ['Throughput (req/s)', ...cells(runs, run => run.requests.throughput)],
+    ['HTTP error rate', ...cells(runs, run => run.errors.rate, percent)],
+    ['Timeouts', ...cells(runs, run => run.errors.timeouts, value => number(value, 0))]
+  );
+  const notes = [];
+  if (runs.length === 2 && runs[0].dataset && runs[1].dataset && runs[0].dataset.fingerprint !== runs[1].dataset.fingerprint) {
+    notes.push('The runs used different datasets, so their numbers may not be comparable.');
+  }
+  return { title: 'Overview', notes, table: { headers: ['', ...runColumns(runs)], rows } };
+}
+
+function clientSection(runs) {
+  const rows = [['p50', 'p50'], ['p90', 'p90'], ['p99', 'p99'], ['p99.9', 'p99_9'], ['max', 'max'], ['mean', 'mean']]
+    .map(([name, key]) => [name, ...cells(runs, run => run.latency[key])]);
+  return { title: 'Client latency (ms)', table: { headers: ['', ...runColumns(runs)], rows } };
+}
+
+function requestSection(runs) {
+  const names = union(runs, run => Object.keys(run.byRequest));
+  const route = (run, name) => {
+    const request = run.byRequest[name];
+    return request && request.method && run.server ? matchRoute(request, Object.keys(run.server.routes)) : null;
+  };
+  const rows = names.map(name => {
+    const routeName = runs.map(run => route(run, name)).find(Boolean) || '-';
+    return [
+      name,
+      routeName,
+      ...cells(runs, run => run.byRequest[name].latency.p99),
+      ...cells(runs, run => run.server.routes[route(run, name)].p99)
+    ];
+  });
+  return {
+    title: 'Client vs server by request',
+    notes: ['Client latency includes the network and queueing in the load generator; the server measures from the first middleware to the response. Server percentiles are estimated from histogram buckets.'],
+    table: { headers: ['Request', 'Server route', ...columns('client p99', runs), ...columns('server p99', runs)], rows }
+  };
+}
+
+function statusSummary(statuses) {
+  return Object.entries(statuses || {}).map(([status, count]) => `${status}: ${count}`).join(', ') || '-';
+}
+
+function routeSection(runs) {
+  const withServer = runs.filter(run => run.server);
+  const routes = union(withServer, run => Object.keys(run.server.routes))
+    .sort((a, b) => Math.max(...withServer.map(run => (run.server.routes[b] || {}).count || 0))
+      - Math.max(...withServer.map(run => (run.server.routes[a] || {}).count || 0)));
+  const rows = routes.map(route => [
+    route,
+    ...cells(runs, run => run.server.routes[route].count, value => number(value, 0)),
+    ...cells(runs, run => run.server.routes[route].p50),
+    ...cells(runs, run => run.server.routes[route].p99),
+    runs.map(run => (run.server && run.server.routes[route] ? statusSummary(run.server.routes[route].statuses) : '-')).join(' | ')
+  ]);
+  const histograms = routes.map(route => ({
+    title: route,
+    series: runs.map((run, index) => ({
+      label: runs.length === 1 ? '' : String.fromCharCode(65 + index),
+      buckets: run.server && run.server.routes[route] ? run.server.routes[route].buckets : []
+    }))
+  }));
+  return {
+    title: 'Server latency by route (ms)',
+    table: { headers: ['Route', ...columns('requests', runs), ...columns('p50', runs), ...columns('p99', runs), 'Statuses'], rows },
+    histograms
+  };
+}
+
+function dbSection(runs) {
+  const withServer = runs.filter(run => run.server);
+  const queries = union(withServer, run => Object.keys(run.server.db)).sort();
+  return {
+    title: 'Database queries (ms)',
+    table: {
+      headers: ['Operation', ...columns('queries', runs), ...columns('mean', runs), ...columns('p99', runs)],
+      rows: queries.map(query => [
+        query,
+        ...cells(runs, run => run.server.db[query].count, value => number(value, 0)),
+        ...cells(runs, run => run.server.db[query].meanMs),
+        ...cells(runs, run => run.server.db[query].p99)
+      ])
+    }
+  };
+}
+
+function cacheSection(runs) {
+  const withServer = runs.filter(run => run.server);
+  const namespaces = union(withServer, run => Object.keys(run.server.cache)).sort();
+  return {
+    title: 'Cache',
+    notes: ['Hit ratio counts fresh and stale hits; coalesced reads waited for another request to fill the entry.'],
+    table: {
+      headers: ['Namespace', ...columns('gets', runs), ...columns('hit ratio', runs), 'hit / stale / miss / coalesced'],
+      rows: namespaces.map(namespace => [
+        namespace,
+        ...cells(runs, run => run.server.cache[namespace].gets, value => number(value, 0)),
+        ...cells(runs, run => run.server.cache[namespace].hitRatio, percent),
+        runs.map(run => {
+          const entry = run.server && run.server.cache[namespace];
+          return entry ? `${entry.hit} / ${entry.stale} / ${entry.miss} / ${entry.coalesced}` : '-';
+        }).join(' | ')
+      ])
+    }
+  };
+}
+
+function runtimeSection(runs) {
+  const gcCount = run => Object.values(run.server.runtime.gc).reduce((sum, kind) => sum + kind.count, 0);
+  const rows = [
+    ['Heap used before', ...cells(runs, run => run.server.runtime.heapUsedBytes.before, megabytes)],
+    ['Heap used after', ...cells(runs, run => run.server.runtime.heapUsedBytes.after, megabytes)],
+    ['Heap total after', ...cells(runs, run => run.server.runtime.heapTotalBytes.after, megabytes)],
+    ['RSS after', ...cells(runs, run => run.server.runtime.rssBytes.after, megabytes)],
+    ['CPU seconds', ...cells(runs, run => run.server.runtime.cpuSeconds)],
+    ['CPU utilization', ...cells(runs, run => run.server.runtime.cpuUtilization, percent)],
+    ['GC pauses', ...cells(runs, gcCount, value => number(value, 0))],
+    ['GC pause total (ms)', ...cells(runs, run => run.server.runtime.gcPauseTotalMs)],
+    ...union(runs.filter(run => run.server), run => Object.keys(run.server.runtime.gc)).sort()
+      .map(kind => [`GC ${kind} p99 (ms)`, ...cells(runs, run => run.server.runtime.gc[kind].p99)]),
+    ['Event loop lag p99 (ms)', ...cells(runs, run => run.server.runtime.eventLoopLag.p99)]
+  ];
+  return { title: 'Runtime', table: { headers: ['', ...runColumns(runs)], rows } };
+}
+
+// [{ title, notes?, table?, histograms? }]
+function buildSections(runs) {
+  const sections = [overviewSection(runs), clientSection(runs)];
+  const missing = runs.map((run, index) => (run.server ? null : label(run, index))).filter(Boolean);
+  if (missing.length === runs.length) {
+    sections.push({ title: 'Server metrics', notes: ['No server metrics were recorded (the target\'s /metrics could not be scraped).'] });
+    return sections;
+  }
+  if (missing.length) {
+    sections[0].notes.push(`No server metrics for ${missing.join(', ')}.`);
+  }
+  sections.push(requestSection(runs), routeSection(runs), dbSection(runs), cacheSection(runs), runtimeSection(runs));
+  return sections;
+}
+
+function bucketLabel(leMs, previousMs) {
+  return leMs === null ? `> ${previousMs} ms` : `≤ ${leMs} ms`;
+}
+
+// Shares per bucket for each series, trimmed to the buckets any series used
+function histogramRows(histogram) {
+  const bounds = [];
+  histogram.series.forEach(series => series.buckets.forEach(bucket => {
+    if (!bounds.includes(bucket.leMs)) {
+      bounds.push(bucket.leMs);
+    }
+  }));
+  bounds.sort((a, b) => (a === null) - (b === null) || a - b);
+  const totals = histogram.series.map(series => series.buckets.reduce((sum, bucket) => sum + bucket.count, 0));
+  const rows = bounds.map((leMs, i) => ({
+    label: bucketLabel(leMs, bounds[i - 1]),
+    shares: histogram.series.map((series, s) => {
+      const bucket = series.buckets.find(candidate => candidate.leMs === leMs);
+      return totals[s] && bucket ? bucket.count / totals[s] : 0;
+    })
+  }));
+  const used = rows.map(row => row.shares.some(share => share > 0));
+  return rows.slice(used.indexOf(true), used.lastIndexOf(true) + 1);
+}
+
+function markdownTable({ headers, rows }) {
+  const escape = value => String(value).replace(/\|/g, '\\|');
+  return [
+    `| ${headers.map(escape).join(' | ')} |`,
+    `|${headers.map(() => ' --- ').join('|')}|`,
+    ...rows.map(row => `| ${row.map(escape).join(' | ')} |`)
+  ].join('\n');
+}
+
+function markdownHistogram(histogram) {
+  const rows = histogramRows(histogram);
+  const width = Math.max(...rows.map(row => row.label.length));
+  const lines = [];
+  rows.forEach(row => {
+    row.shares.forEach((share, s) => {
+      const name = histogram.series[s].label;
+      lines.push(`${(s === 0 ? row.label : '').padEnd(width)} ${name ? `${name} ` : ''}${'█'.repeat(Math.round(share * 40))} ${percent(share)}`);
+    });
+  });
+  return `**${histogram.title}**\n\n\`\`\`\n${lines.join('\n')}\n\`\`\``;
+}
+
+function renderMarkdown(runs) {
+  const parts = [runs.length === 1 ? `# Benchmark: ${runs[0].scenario}` : '# Benchmark comparison'];
+  if (runs.length === 2) {
+    parts.push(runs.map((run, index) => `- ${label(run, index)}`).join('\n'));
+  }
+  buildSections(runs).forEach(section => {
+    parts.push(`## ${section.title}`);
+    (section.notes || []).forEach(note => parts.push(`> ${note}`));
+    if (section.table && section.table.rows.length) {
+      parts.push(markdownTable(section.table));
+    }
+    if (section.histograms && section.histograms.length) {
+      parts.push('### Latency distribution by route (share of requests per bucket)');
+      section.histograms.forEach(histogram => parts.push(markdownHistogram(histogram)));
+    }
+  });
+  return `${parts.join('\n\n')}\n`;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[char]);
+}
+
+function htmlTable({ headers, rows }) {
+  const numeric = value => /^[-+]?\d/.test(value);
+  return `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead><tbody>`
+    + rows.map(row => `<tr>${row.map(cell => `<td${numeric(cell) ? ' class="num"' : ''}>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')
+    + '</tbody></table>';
+}
+
+function htmlHistogram(histogram) {
+  const rows = histogramRows(histogram).map(row => `<tr><th>${escapeHtml(row.label)}</th><td>`
+    + row.shares.map((share, s) => `<div class="bar series-${s}"><span style="width:${round(share * 100, 2)}%"></span>`
+      + `<em>${escapeHtml(histogram.series[s].label)} ${percent(share)}</em></div>`).join('')
+    + '</td></tr>').join('');
+  return `<figure><figcaption>${escapeHtml(histogram.title)}</figcaption><table class="histogram">${rows}</table></figure>`;
+}
+
+const STYLE = `
+body { font: 14px/1.45 -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem auto; max-width: 1100px; color: #1d2733; padding: 0 1rem; }
+h1 { font-size: 1.6rem; } h2 { margin-top: 2.2rem; border-bottom: 1px solid #dde3ea; padding-bottom: .3rem; }
+table { border-collapse: collapse; margin: .8rem 0; }
+th, td { padding: .3rem .7rem; border-bottom: 1px solid #eef1f4; text-align: left; }
+thead th { background: #f5f7fa; } td.num { text-align: right; font-variant-numeric: tabular-nums; }
+.note { color: #5b6b7c; font-style: italic; }
+.histograms { display: grid; grid-template-columns: repeat(auto-fill, minmax(480px, 1fr)); gap: 1rem; }
+figure { margin: 0; } figcaption { font-weight: 600; margin-bottom: .3rem; }
+table.histogram th { font-weight: normal; white-space: nowrap; color: #5b6b7c; width: 8rem; }
+table.histogram td { width: 100%; }
+.bar { position: relative; height: 1.1rem; margin: 1px 0; }
+.bar span { display: block; height: 100%; background: #4c8bf5; }
+.bar.series-1 span { background: #f59e4c; }
+.bar em { position: absolute; left: .4rem; top: 0; font-style: normal; font-size: 12px; }
+.swatch { display: inline-block; width: .8rem; height: .8rem; margin-right: .4rem; background: #4c8bf5; }
+.swatch.series-1 { background: #f59e4c; }
+`;
+
+function renderHtml(runs) {
+  const title = runs.length === 1 ? `Benchmark: ${runs[0].scenario}` : 'Benchmark comparison';
+  const body = [`<h1>${escapeHtml(title)}</h1>`];
+  if (runs.length === 2) {
+    body.push(`<ul>${runs.map((run, index) => `<li><i class="swatch series-${index}"></i>${escapeHtml(label(run, index))}</li>`).join('')}</ul>`);
+  }
+  buildSections(runs).forEach(section => {
+    body.push(`<h2>${escapeHtml(section.title)}</h2>`);
+    (section.notes || []).forEach(note => body.push(`<p class="note">${escapeHtml(note)}</p>`));
+    if (section.table && section.table.rows.length) {
+      body.push(htmlTable(section.table));
+    }
+    if (section.histograms && section.histograms.length) {
+      body.push('<h3>Latency distribution by route (share of requests per bucket)</h3>');
+      body.push(`<div class="histograms">${section.histograms.map(htmlHistogram).join('')}</div>`);
+    }
+  });
+  return `<!DOCTYPE html>\n<html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>`
+    + `<style>${STYLE}</style></head><body>\n${body.join('\n')}\n</body></html>\n`;
+}
+
+// format: html or md
+function renderReport(runs, format) {
+  return format === 'md' ? renderMarkdown(runs) : renderHtml(runs);
+}
+
+module.exports = {
+  matchRoute,
+  renderReport
+};
@@ -0,0 +1,86 @@
+// Sends recorded requests to a target on their recorded schedule, scaled by speed. Open loop:
+// a request goes out when it is due whether or not earlier ones have been answered, so a slow
+// target can't hide its slowness by slowing the load down. With speed Infinity everything is
+// due at once. maxInFlight bounds the sockets the client opens; a request held back by it is
+// late, and how late is reported as schedule lag.
+const http = require('http');
+const https = require('https');
+const { performance } = require('perf_hooks');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function buildPath(record) {
+  const params = new URLSearchParams();
+  Object.entries(record.query || {}).forEach(([key, value]) => {
+    [].concat(value).forEach(item => params.append(key, item));
+  });
+  const search = params.toString();
+  return search ? `${record.path}?${search}` : record.path;
+}
+
+// { status, latencyMs } or { error, latencyMs }
+function send(transport, agent, target, record, timeoutMs) {
+  return new Promise(resolve => {
+    const headers = { ...record.headers };
+    let body;
+    if (record.body !== undefined) {
+      body = JSON.stringify(record.body);
+      headers['content-type'] = headers['content-type'] || 'application/json';
+      headers['content-length'] = Buffer.byteLength(body);
+    }
+    const sentAt = performance.now();
+    const done = result => resolve({ ...result, latencyMs: performance.now() - sentAt });
+    const req = transport.request(new URL(buildPath(record), target), { method: record.method, headers, agent }, res => {
+      res.resume();
+      res.once('end', () => done({ status: res.statusCode }));
+      res.once('error', error => done({ error: error.code || error.message }));
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(new Error('timeout')));
+    req.once('error', error => done({ error: error.code || error.message }));
+    req.end(body);
+  });
+}
+
+// results[i] answers records[i] ({ status | error, latencyMs, lagMs }), or is undefined if the
+// replay was stopped before it went out. control.stop() stops sending; what is in flight finishes.
+async function replay(records, { target, speed = 1, maxInFlight = 256, timeoutMs = 10000, control = {}, onProgress = () => {} }) {
+  const transport = new URL(target).protocol === 'https:' ? https : http;
+  const agent = new transport.Agent({ keepAlive: true, maxSockets: maxInFlight });
+  const results = new Array(records.length);
+  const pending = new Set();
+  control.stopped = false;
+  control.stop = () => { control.stopped = true; };
+
+  const startedAt = performance.now();
+  let lastProgress = startedAt;
+  for (let i = 0; i < records.length && !control.stopped; i++) {
+    const due = speed === Infinity ? 0 : records[i].offset / speed;
+    const wait = due - (performance.now() - startedAt);
+    if (wait > 0) {
+      await sleep(wait);
+    }
+    while (pending.size >= maxInFlight) {
+      await Promise.race(pending);
+    }
+    const lagMs = Math.max(0, performance.now() - startedAt - due);
+    const request = send(transport, agent, target, records[i], timeoutMs).then(result => {
+      results[i] = { ...result, lagMs };
+      pending.delete(request);
+    });
+    pending.add(request);
+
+    if (performance.now() - lastProgress >= 5000) {
+      lastProgress = performance.now();
+      onProgress({ sent: i + 1, total: records.length, inFlight: pending.size, elapsedMs: lastProgress - startedAt });
+    }
+  }
+  await Promise.all(pending);
+  agent.destroy();
+  return { results, durationMs: performance.now() - startedAt, interrupted: control.stopped };
+}
+
+module.exports = {
+  replay
+};
@@ -0,0 +1,288 @@
+// Turns a run into a machine-readable result, and checks a result against a baseline
+const PERCENTILES = [50, 75, 90, 95, 99, 99.9];
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// { count, min, mean, stddev, max, p50 ... p99_9 } in ms
+function latencyStats(values) {
+  if (!values.length) {
+    return { count: 0 };
+  }
+  const sorted = Float64Array.from(values).sort();
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length;
+  const stats = { count: sorted.length, min: round(sorted[0]), mean: round(mean), stddev: round(Math.sqrt(variance)) };
+  PERCENTILES.forEach(p => {
+    // Nearest rank
+    stats[`p${String(p).replace('.', '_')}`] = round(sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)]);
+  });
+  stats.max = round(sorted[sorted.length - 1]);
+  return stats;
+}
+
+function addCounts(target, counts) {
+  Object.entries(counts).forEach(([key, count]) => { target[key] = (target[key] || 0) + count; });
+  return target;
+}
+
+function summarize(scenario, { recorder, steps, interrupted }, { startedAt, finishedAt }) {
+  const durationSeconds = steps.reduce((sum, step) => sum + step.result.duration, 0);
+  let all = [];
+  const statusCodes = {};
+  const byRequest = {};
+  let total = 0;
+  for (const [name, entry] of recorder.byRequest) {
+    const request = scenario.requests.find(candidate => candidate.name === name);
+    total += entry.latencies.length;
+    all = all.concat(entry.latencies);
+    addCounts(statusCodes, entry.statusCodes);
+    byRequest[name] = {
+      method: request.method,
+      path: request.path,
+      requests: entry.latencies.length,
+      statusCodes: entry.statusCodes,
+      latency: latencyStats(entry.latencies)
+    };
+  }
+  Object.values(byRequest).forEach(entry => { entry.share = total ? round(entry.requests / total, 4) : 0; });
+
+  const failed = Object.entries(statusCodes).filter(([status]) => Number(status) >= 400).reduce((sum, [, count]) => sum + count, 0);
+  return {
+    scenario: scenario.name,
+    file: scenario.file,
+    target: scenario.target,
+    startedAt,
+    finishedAt,
+    interrupted,
+    durationSeconds: round(durationSeconds),
+    requests: {
+      total,
+      throughput: durationSeconds ? round(total / durationSeconds) : 0,
+      bytes: steps.reduce((sum, step) => sum + step.result.throughput.total, 0)
+    },
+    latency: latencyStats(all),
+    statusCodes,
+    errors: {
+      http: failed,
+      timeouts: steps.reduce((sum, step) => sum + step.result.timeouts, 0),
+      connection: steps.reduce((sum, step) => sum + step.result.errors - step.result.timeouts, 0),
+      rate: total ? round(failed / total, 4) : 0
+    },
+    steps: steps.map(step => ({
+      stage: step.stage,
+      connections: step.connections,
+      durationSeconds: round(step.result.duration),
+      throughput: round(step.result.requests.average),
+      p99: step.result.latency.p99
+    })),
+    byRequest
+  };
+}
+
+function change(current, baseline) {
+  return baseline ? round((current - baseline) / baseline * 100, 1) : 0;
+}
+
+function fingerprintOf(result) {
+  return result.dataset ? result.dataset.fingerprint : null;
+}
+
+// p99 may rise by p99Tolerance %, throughput may fall by throughputTolerance %.
+// Per-request p99s and a dataset mismatch are reported but don't fail the run.
+function compare(result, baseline, { p99Tolerance, throughputTolerance }) {
+  const p99Change = change(result.latency.p99, baseline.latency.p99);
+  const throughputChange = change(result.requests.throughput, baseline.requests.throughput);
+  const checks = [
+    {
+      metric: 'p99 latency (ms)',
+      baseline: baseline.latency.p99,
+      current: result.latency.p99,
+      changePercent: p99Change,
+      tolerancePercent: p99Tolerance,
+      passed: p99Change <= p99Tolerance
+    },
+    {
+      metric: 'throughput (req/s)',
+      baseline: baseline.requests.throughput,
+      current: result.requests.throughput,
+      changePercent: throughputChange,
+      tolerancePercent: throughputTolerance,
+      passed: throughputChange >= -throughputTolerance
+    }
+  ];
+  const requests = Object.entries(result.byRequest)
+    .filter(([name]) => baseline.byRequest && baseline.byRequest[name])
+    .map(([name, entry]) => ({
+      name,
+      baselineP99: baseline.byRequest[name].latency.p99,
+      currentP99: entry.latency.p99,
+      changePercent: change(entry.latency.p99, baseline.byRequest[name].latency.p99)
+    }));
+  return {
+    baselineStartedAt: baseline.startedAt,
+    dataset: {
+      baseline: fingerprintOf(baseline),
+      current: fingerprintOf(result),
+      matches: Boolean(fingerprintOf(result)) && fingerprintOf(result) === fingerprintOf(baseline)
+    },
+    passed: checks.every(check => check.passed),
+    checks,
+    requests
+  };
+}
+
+function formatSummary(result) {
+  const { latency, requests, errors } = result;
+  const lines = [
+    `Requests:   ${requests.total} in ${result.durationSeconds}s (${requests.throughput} req/s)`,
+    `Latency:    p50 ${latency.p50} ms | p90 ${latency.p90} ms | p99 ${latency.p99} ms | p99.9 ${latency.p99_9} ms | max ${latency.max} ms`,
+    `Statuses:   ${Object.entries(result.statusCodes).map(([status, count]) => `${status}: ${count}`).join(', ') || 'none'}`,
+    `Errors:     ${errors.http} HTTP errors (${round(errors.rate * 100)}%), ${errors.timeouts} timeouts, ${errors.connection} connection errors`,
+    '',
+    'Per request:'
+  ];
+  Object.entries(result.byRequest).forEach(([name, entry]) => {
+    lines.push(`  ${name.padEnd(30)} ${String(entry.requests).padStart(8)} reqs  p50 ${entry.latency.p50} ms  p99 ${entry.latency.p99} ms`);
+  });
+  return lines.join('\n');
+}
+
+function formatComparison(comparison) {
+  const lines = [`Compared with the baseline from ${comparison.baselineStartedAt}:`];
+  if (!comparison.dataset.matches) {
+    const short = fingerprint => (fingerprint ? fingerprint.slice(0, 12) : 'unknown');
+    lines.push(`  ⚠️  different datasets (baseline ${short(comparison.dataset.baseline)}, now ${short(comparison.dataset.current)}): `
+      + 'the numbers may not be comparable');
+  }
+  comparison.checks.forEach(check => {
+    const sign = check.changePercent > 0 ? '+' : '';
+    lines.push(`  ${check.passed ? 'ok  ' : 'FAIL'} ${check.metric.padEnd(20)} ${check.baseline} -> ${check.current} (${sign}${check.changePercent}%, tolerance ${check.tolerancePercent}%)`);
+  });
+  comparison.requests.forEach(request => {
+    const sign = request.changePercent > 0 ? '+' : '';
+    lines.push(`       ${request.name.padEnd(30)} p99 ${request.baselineP99} -> ${request.currentP99} ms (${sign}${request.changePercent}%)`);
+  });
+  return lines.join('\n');
+}
+
+function routeDelta(recorded, replayed) {
+  const delta = {};
+  ['p50', 'p95', 'p99'].forEach(p => {
+    delta[p] = recorded.count && replayed.count ? round(replayed[p] - recorded[p]) : null;
+    delta[`${p}ChangePercent`] = recorded.count && replayed.count ? change(replayed[p], recorded[p]) : null;
+  });
+  return delta;
+}
+
+// Per route: the latency the app measured when the traffic was recorded against what the
+// replay saw. Recorded latencies are server-side and replayed ones client-side, so the replay
+// includes network and client time; aborted recordings and failed replays are left out.
+function summarizeReplay(records, { results, durationMs, interrupted }, info) {
+  const routes = new Map();
+  const lags = [];
+  const totals = { sent: 0, completed: 0, errors: 0, statusMismatches: 0, bodiesOmitted: 0 };
+  records.forEach((record, i) => {
+    const result = results[i];
+    const key = `${record.method} ${record.route || record.path}`;
+    if (!routes.has(key)) {
+      routes.set(key, { recorded: [], replayed: [], requests: 0, errors: {}, statusMismatches: 0 });
+    }
+    const route = routes.get(key);
+    if (!record.aborted && typeof record.durationMs === 'number') {
+      route.recorded.push(record.durationMs);
+    }
+    if (record.bodyOmitted) {
+      totals.bodiesOmitted++;
+    }
+    if (!result) {
+      return;
+    }
+    totals.sent++;
+    route.requests++;
+    lags.push(result.lagMs);
+    if (result.error) {
+      totals.errors++;
+      route.errors[result.error] = (route.errors[result.error] || 0) + 1;
+      return;
+    }
+    totals.completed++;
+    route.replayed.push(result.latencyMs);
+    if (record.status !== undefined && result.status !== record.status) {
+      totals.statusMismatches++;
+      route.statusMismatches++;
+    }
+  });
+
+  const byRoute = {};
+  for (const [key, route] of routes) {
+    const recorded = latencyStats(route.recorded);
+    const replayed = latencyStats(route.replayed);
+    byRoute[key] = {
+      requests: route.requests,
+      errors: route.errors,
+      statusMismatches: route.statusMismatches,
+      recorded,
+      replayed,
+      delta: routeDelta(recorded, replayed)
+    };
+  }
+  const recordedSpanMs = records.length ? records[records.length - 1].offset : 0;
+  return {
+    ...info,
+    interrupted,
+    records: records.length,
+    recordedDurationSeconds: round(recordedSpanMs / 1000),
+    durationSeconds: round(durationMs / 1000),
+    throughput: durationMs ? round(totals.sent / (durationMs / 1000)) : 0,
+    ...totals,
+    scheduleLag: latencyStats(lags),
+    byRoute
+  };
+}
+
+function formatReplay(summary) {
+  const lag = summary.scheduleLag;
+  const lines = [
+    `Replayed:   ${summary.sent} of ${summary.records} requests in ${summary.durationSeconds}s `
+      + `(recorded over ${summary.recordedDurationSeconds}s, ${summary.throughput} req/s)`,
+    `Outcome:    ${summary.completed} answered, ${summary.errors} failed, ${summary.statusMismatches} with a different status than recorded`,
+    `Lag:        ${lag.count ? `p50 ${lag.p50} ms | p99 ${lag.p99} ms | max ${lag.max} ms behind schedule` : 'n/a'}`
+  ];
+  if (summary.bodiesOmitted) {
+    lines.push(`Note:       ${summary.bodiesOmitted} requests were recorded without their body and replayed without one`);
+  }
+  lines.push('', 'Per route (recorded server-side -> replayed client-side):');
+  Object.entries(summary.byRoute)
+    .sort(([, a], [, b]) => b.requests - a.requests)
+    .forEach(([key, route]) => {
+      const describe = p => {
+        const percent = route.delta[`${p}ChangePercent`];
+        return `${p} ${route.recorded.count ? route.recorded[p] : '-'} -> ${route.replayed.count ? route.replayed[p] : '-'} ms`
+          + (percent === null ? '' : ` (${percent > 0 ? '+' : ''}${percent}%)`);
+      };
+      const problems = [];
+      const errors = Object.values(route.errors).reduce((sum, count) => sum + count, 0);
+      if (errors) {
+        problems.push(`${errors} failed`);
+      }
+      if (route.statusMismatches) {
+        problems.push(`${route.statusMismatches} status changed`);
+      }
+      lines.push(`  ${key.padEnd(36)} ${String(route.requests).padStart(7)} reqs  ${describe('p50')}  ${describe('p99')}`
+        + (problems.length ? `  [${problems.join(', ')}]` : ''));
+    });
+  return lines.join('\n');
+}
+
+module.exports = {
+  latencyStats,
+  summarize,
+  compare,
+  formatSummary,
+  formatComparison,
+  summarizeReplay,
+  formatReplay
+};
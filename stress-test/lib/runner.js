@@ -0,0 +1,124 @@
+// Runs a scenario with autocannon. autocannon can't change its connection count mid-run, so
+// each stage becomes one or more fixed-connection steps: a hold is one step, a ramp is cut
+// into rampStep-long steps whose connection counts climb (or fall) toward the stage target.
+const autocannon = require('autocannon');
+const { render } = require('./template');
+
+// [{ stage, connections, duration }]; like k6, the first stage ramps up from zero
+function planSteps(scenario) {
+  const steps = [];
+  let previous = 0;
+  scenario.stages.forEach((stage, index) => {
+    const count = previous === stage.target ? 1 : Math.max(1, Math.round(stage.duration / scenario.rampStep));
+    for (let i = 0; i < count; i++) {
+      const connections = count === 1
+        ? stage.target
+        : Math.round(previous + (stage.target - previous) * (i + 1) / count);
+      steps.push({ stage: index, connections: Math.max(1, connections), duration: stage.duration / count });
+    }
+    previous = stage.target;
+  });
+  return steps;
+}
+
+// Per-request latencies (ms) and status counts, measured from when a request is built
+// to when its response completes
+class Recorder {
+  constructor(requests) {
+    this.byRequest = new Map(requests.map(request => [request.name, { latencies: [], statusCodes: {} }]));
+  }
+
+  record(name, status, latencyMs) {
+    const entry = this.byRequest.get(name);
+    entry.latencies.push(latencyMs);
+    entry.statusCodes[status] = (entry.statusCodes[status] || 0) + 1;
+  }
+}
+
+function weightedPicker(requests) {
+  const total = requests.reduce((sum, request) => sum + request.weight, 0);
+  return () => {
+    let roll = Math.random() * total;
+    return requests.find(request => (roll -= request.weight) < 0) || requests[requests.length - 1];
+  };
+}
+
+function buildRequest(request, variables) {
+  const headers = render(request.headers, variables);
+  let body;
+  if (request.body !== undefined) {
+    const rendered = render(request.body, variables);
+    body = typeof rendered === 'string' ? rendered : JSON.stringify(rendered);
+    if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+      headers['content-type'] = 'application/json';
+    }
+  }
+  return { method: request.method, path: String(render(request.path, variables)), headers, body };
+}
+
+// One fixed-connection autocannon run; recorder is null during warmup
+function runStep(scenario, step, recorder, control) {
+  const pick = weightedPicker(scenario.requests);
+  return new Promise((resolve, reject) => {
+    control.instance = autocannon({
+      url: scenario.target,
+      connections: step.connections,
+      duration: step.duration,
+      timeout: scenario.timeout,
+      pipelining: 1,
+      requests: [{
+        // autocannon hands each request a fresh context, so this is per request, not per connection
+        setupRequest: (req, context) => {
+          const request = pick();
+          context.name = request.name;
+          context.sentAt = process.hrtime.bigint();
+          return { ...req, ...buildRequest(request, scenario.variables) };
+        },
+        onResponse: (status, body, context) => {
+          if (recorder && context.name) {
+            recorder.record(context.name, status, Number(process.hrtime.bigint() - context.sentAt) / 1e6);
+          }
+        }
+      }]
+    }, (error, result) => {
+      control.instance = null;
+      return error ? reject(error) : resolve(result);
+    });
+  });
+}
+
+// Warmup (not recorded), then every step. control.stop() ends the run early, keeping what
+// was measured so far. onStep(step, result) reports progress; beforeMeasure() is awaited
+// between the warmup and the first measured step.
+async function runScenario(scenario, { onStep = () => {}, beforeMeasure = async () => {}, control = {} } = {}) {
+  control.stopped = false;
+  control.stop = () => {
+    control.stopped = true;
+    if (control.instance) {
+      control.instance.stop();
+    }
+  };
+
+  if (scenario.warmup && scenario.warmup.duration > 0) {
+    const warmup = { stage: 'warmup', connections: Math.max(1, scenario.warmup.connections), duration: scenario.warmup.duration };
+    onStep(warmup, await runStep(scenario, warmup, null, control));
+  }
+
+  await beforeMeasure();
+  const recorder = new Recorder(scenario.requests);
+  const steps = [];
+  for (const step of planSteps(scenario)) {
+    if (control.stopped) {
+      break;
+    }
+    const result = await runStep(scenario, step, recorder, control);
+    steps.push({ ...step, result });
+    onStep(step, result);
+  }
+  return { recorder, steps, interrupted: control.stopped };
+}
+
+module.exports = {
+  planSteps,
+  runScenario
+};
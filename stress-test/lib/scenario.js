@@ -0,0 +1,119 @@
+// Scenario files (YAML or JSON) for stress-test/load.js. Shape:
+//
+//   name: browse-and-buy
+//   target: http://localhost:3000        # --target overrides
+//   timeout: 10                          # seconds per request
+//   warmup: { duration: 10s, connections: 5 }
+//   stages:                              # like k6: move linearly to `target` connections over `duration`
+//     - { duration: 30s, target: 20 }
+//     - { duration: 1m, target: 20 }
+//   rampStep: 5s                         # how finely a ramp is cut into fixed-connection steps
+//   variables: { categories: [books, tools] }
+//   requests:
+//     - name: list
+//       weight: 7
+//       path: /api/products?category={{pick categories}}
+//     - name: signup
+//       weight: 1
+//       method: POST
+//       path: /api/users
+//       body: { username: 'load_{{seq}}_{{randomString 6}}', email: 'load{{seq}}@test.com', password: secret123 }
+//   thresholds: { p99Tolerance: 10, throughputTolerance: 10 }   # % worse than baseline allowed
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { checkTemplate } = require('./template');
+
+const DEFAULT_THRESHOLDS = { p99Tolerance: 10, throughputTolerance: 10 };
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'];
+
+// 90, '90s', '2m' or '1h' -> seconds
+function parseDuration(value, where) {
+  if (typeof value === 'number' && value >= 0) {
+    return value;
+  }
+  const match = /^(\d+(?:\.\d+)?)(s|m|h)?$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`${where}: "${value}" is not a duration (e.g. 30, 30s, 2m)`);
+  }
+  return Number(match[1]) * { s: 1, m: 60, h: 3600 }[match[2] || 's'];
+}
+
+function positiveInteger(value, where) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${where}: must be a non-negative integer`);
+  }
+  return value;
+}
+
+function normalizeRequest(request, i, variables) {
+  const where = `requests[${i}]`;
+  if (!request || typeof request.path !== 'string' || !request.path.startsWith('/')) {
+    throw new Error(`${where}: path must start with /`);
+  }
+  const method = String(request.method || 'GET').toUpperCase();
+  if (!METHODS.includes(method)) {
+    throw new Error(`${where}: unsupported method ${request.method}`);
+  }
+  const weight = request.weight === undefined ? 1 : request.weight;
+  if (typeof weight !== 'number' || weight <= 0) {
+    throw new Error(`${where}: weight must be a positive number`);
+  }
+  checkTemplate(request.path, variables, `${where}.path`);
+  checkTemplate(request.headers || {}, variables, `${where}.headers`);
+  checkTemplate(request.body, variables, `${where}.body`);
+  return {
+    name: request.name || `${method} ${request.path.split('?')[0]}`,
+    method,
+    path: request.path,
+    headers: request.headers || {},
+    body: request.body,
+    weight
+  };
+}
+
+function loadScenario(file, overrides = {}) {
+  const raw = fs.readFileSync(file, 'utf8');
+  const spec = /\.json$/i.test(file) ? JSON.parse(raw) : YAML.parse(raw);
+  if (!spec || typeof spec !== 'object') {
+    throw new Error(`${file}: not a scenario`);
+  }
+
+  const variables = spec.variables || {};
+  if (!Array.isArray(spec.requests) || !spec.requests.length) {
+    throw new Error(`${file}: requests must list at least one request`);
+  }
+  if (!Array.isArray(spec.stages) || !spec.stages.length) {
+    throw new Error(`${file}: stages must list at least one stage`);
+  }
+
+  const requests = spec.requests.map((request, i) => normalizeRequest(request, i, variables));
+  const names = new Set(requests.map(request => request.name));
+  if (names.size !== requests.length) {
+    throw new Error(`${file}: request names must be unique`);
+  }
+
+  return {
+    name: spec.name || path.basename(file).replace(/\.(ya?ml|json)$/i, ''),
+    file,
+    target: (overrides.target || spec.target || 'http://localhost:3000').replace(/\/$/, ''),
+    timeout: parseDuration(spec.timeout === undefined ? 10 : spec.timeout, 'timeout'),
+    warmup: spec.warmup ? {
+      duration: parseDuration(spec.warmup.duration, 'warmup.duration'),
+      connections: positiveInteger(spec.warmup.connections || 1, 'warmup.connections')
+    } : null,
+    stages: spec.stages.map((stage, i) => ({
+      duration: parseDuration(stage.duration, `stages[${i}].duration`),
+      target: positiveInteger(stage.target, `stages[${i}].target`)
+    })),
+    rampStep: parseDuration(spec.rampStep === undefined ? 5 : spec.rampStep, 'rampStep'),
+    variables,
+    requests,
+    thresholds: { ...DEFAULT_THRESHOLDS, ...spec.thresholds }
+  };
+}
+
+module.exports = {
+  loadScenario,
+  parseDuration
+};
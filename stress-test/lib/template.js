@@ -0,0 +1,81 @@
+// {{helper args}} placeholders in scenario paths, headers and bodies, rendered per request.
+//   {{uuid}}                  random UUID
+//   {{seq}}                   counter shared by every request in the run
+//   {{now}} / {{isoDate}}     current time in ms / as an ISO string
+//   {{randomInt 1 10}}        integer in [1, 10]
+//   {{randomFloat 1 100}}     number in [1, 100) with two decimals
+//   {{randomString 8}}        lowercase letters and digits
+//   {{pick categories}}       random element of the scenario's `variables.categories` list
+//   {{env NAME}}              environment variable
+// A string that is exactly one placeholder keeps the helper's type, so `quantity: '{{randomInt 1 5}}'`
+// sends a number.
+const crypto = require('crypto');
+
+const PLACEHOLDER = /{{\s*(\w+)((?:\s+[^\s}]+)*)\s*}}/g;
+const WHOLE_PLACEHOLDER = /^{{\s*(\w+)((?:\s+[^\s}]+)*)\s*}}$/;
+const ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+let sequence = 0;
+
+function randomInt(min, max) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+const HELPERS = {
+  uuid: () => crypto.randomUUID(),
+  seq: () => ++sequence,
+  now: () => Date.now(),
+  isoDate: () => new Date().toISOString(),
+  randomInt: (variables, min = '0', max = '100') => randomInt(Number(min), Number(max)),
+  randomFloat: (variables, min = '0', max = '1') => Math.round((Number(min) + Math.random() * (Number(max) - Number(min))) * 100) / 100,
+  randomString: (variables, length = '8') => Array.from({ length: Number(length) }, () => ALPHABET[randomInt(0, ALPHABET.length - 1)]).join(''),
+  pick: (variables, name) => {
+    const values = variables[name];
+    return values[randomInt(0, values.length - 1)];
+  },
+  env: (variables, name) => process.env[name] || ''
+};
+
+function callHelper(name, args, variables) {
+  return HELPERS[name](variables, ...args.trim().split(/\s+/).filter(Boolean));
+}
+
+// Throws on unknown helpers or variables, so a typo fails when the scenario loads
+function checkTemplate(value, variables, where) {
+  if (typeof value === 'string') {
+    for (const [, name, args] of value.matchAll(PLACEHOLDER)) {
+      if (!HELPERS[name]) {
+        throw new Error(`${where}: unknown template helper "${name}"`);
+      }
+      const variable = args.trim();
+      if (name === 'pick' && !(Array.isArray(variables[variable]) && variables[variable].length)) {
+        throw new Error(`${where}: {{pick ${variable}}} needs a non-empty list in variables.${variable}`);
+      }
+    }
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => checkTemplate(item, variables, `${where}.${key}`));
+  }
+}
+
+// Render strings, and every string inside arrays and objects
+function render(value, variables) {
+  if (typeof value === 'string') {
+    const whole = WHOLE_PLACEHOLDER.exec(value);
+    if (whole) {
+      return callHelper(whole[1], whole[2], variables);
+    }
+    return value.replace(PLACEHOLDER, (match, name, args) => String(callHelper(name, args, variables)));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => render(item, variables));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, render(item, variables)]));
+  }
+  return value;
+}
+
+module.exports = {
+  checkTemplate,
+  render
+};
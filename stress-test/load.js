@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+// Scenario-driven load tests with baselines.
+//
+//   node stress-test/load.js <scenario.yaml|json> [options]
+//     --target URL                  override the scenario's target
+//     --out DIR                     where results are written (default stress-test/results)
+//     --baseline FILE               baseline to compare with (default stress-test/baselines/<name>.json)
+//     --save-baseline               store this run as the baseline instead of comparing
+//     --p99-tolerance PERCENT       how far p99 may rise over the baseline
+//     --throughput-tolerance PERCENT  how far throughput may fall below it
+//     --report html|md              also write a report next to the result (a comparison when
+//                                   there is a baseline); see stress-test/report.js
+//
+// Exit codes: 0 passed (or no baseline yet), 1 regressed, 2 bad usage or scenario, 130 interrupted.
+// Results record the target's dataset fingerprint (scripts/seed.js, via /health); comparing runs
+// on different datasets warns, since their latencies aren't comparable. They also record what the
+// server's /metrics saw between the end of the warmup and the end of the run (result.server).
+// See stress-test/lib/scenario.js for the scenario format and stress-test/scenarios/ for examples.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadScenario } = require('./lib/scenario');
+const { planSteps, runScenario } = require('./lib/runner');
+const { summarize, compare, formatSummary, formatComparison } = require('./lib/report');
+const { scrapeMetrics, diffMetrics } = require('./lib/prometheus');
+const { renderReport } = require('./lib/render');
+
+const USAGE = 'Usage: node stress-test/load.js <scenario.yaml|json> [--target URL] [--out DIR] [--baseline FILE] '
+  + '[--save-baseline] [--p99-tolerance PERCENT] [--throughput-tolerance PERCENT] [--report html|md]';
+const REPORT_FORMATS = ['html', 'md'];
+
+function parseCli() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      target: { type: 'string' },
+      out: { type: 'string', default: path.join(__dirname, 'results') },
+      baseline: { type: 'string' },
+      'save-baseline': { type: 'boolean', default: false },
+      'p99-tolerance': { type: 'string' },
+      'throughput-tolerance': { type: 'string' },
+      report: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  if (values.help || positionals.length !== 1) {
+    throw new Error(USAGE);
+  }
+  for (const option of ['p99-tolerance', 'throughput-tolerance']) {
+    if (values[option] !== undefined && !(Number(values[option]) >= 0)) {
+      throw new Error(`--${option} must be a non-negative number`);
+    }
+  }
+  if (values.report !== undefined && !REPORT_FORMATS.includes(values.report)) {
+    throw new Error(`--report must be one of ${REPORT_FORMATS.join(', ')}`);
+  }
+  return { file: positionals[0], options: values };
+}
+
+// The seeded dataset the target reports, or null if it has none or can't say
+async function fetchDataset(target) {
+  try {
+    const response = await fetch(`${target}/health`, { signal: AbortSignal.timeout(5000) });
+    return (await response.json()).dataset || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// null (with a warning) when the target has no reachable /metrics
+async function scrapeOrWarn(target) {
+  try {
+    return await scrapeMetrics(target);
+  } catch (error) {
+    console.log(`   ⚠️  could not scrape ${target}/metrics (${error.message}); no server metrics for this run`);
+    return null;
+  }
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+function writeReport(resultFile, runs, format) {
+  const file = resultFile.replace(/\.json$/, `.${format}`);
+  fs.writeFileSync(file, renderReport(runs, format));
+  console.log(`Saved ${file}`);
+}
+
+async function main() {
+  let cli;
+  let scenario;
+  try {
+    cli = parseCli();
+    scenario = loadScenario(cli.file, { target: cli.options.target });
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+  const { options } = cli;
+  const thresholds = {
+    p99Tolerance: options['p99-tolerance'] !== undefined ? Number(options['p99-tolerance']) : scenario.thresholds.p99Tolerance,
+    throughputTolerance: options['throughput-tolerance'] !== undefined ? Number(options['throughput-tolerance']) : scenario.thresholds.throughputTolerance
+  };
+
+  const steps = planSteps(scenario);
+  const total = steps.reduce((sum, step) => sum + step.duration, 0) + (scenario.warmup ? scenario.warmup.duration : 0);
+  console.log(`🚀 ${scenario.name} against ${scenario.target}: ${steps.length} steps over ${Math.round(total)}s`);
+  const dataset = await fetchDataset(scenario.target);
+  console.log(dataset && dataset.fingerprint
+    ? `   dataset ${dataset.fingerprint.slice(0, 12)} (${Object.entries(dataset.counts).map(([name, count]) => `${count} ${name}`).join(', ')})`
+    : '   dataset unknown: the target reports no seeded dataset');
+
+  // Ctrl+C stops the current step; what was measured is still written, but not gated
+  const control = {};
+  process.once('SIGINT', () => {
+    console.log('\nInterrupted, finishing up...');
+    control.stop();
+  });
+
+  let metricsBefore = null;
+  const startedAt = new Date().toISOString();
+  const run = await runScenario(scenario, {
+    control,
+    beforeMeasure: async () => {
+      metricsBefore = await scrapeOrWarn(scenario.target);
+    },
+    onStep: (step, result) => {
+      const label = step.stage === 'warmup' ? 'warmup  ' : `stage ${step.stage + 1} `;
+      console.log(`  ${label} ${String(step.connections).padStart(4)} connections  ${Math.round(step.duration)}s  `
+        + `${Math.round(result.requests.average)} req/s  p99 ${result.latency.p99} ms`);
+    }
+  });
+  const result = summarize(scenario, run, { startedAt, finishedAt: new Date().toISOString() });
+  result.dataset = dataset;
+  result.thresholds = thresholds;
+  const metricsAfter = metricsBefore && await scrapeOrWarn(scenario.target);
+  result.server = metricsAfter ? diffMetrics(metricsBefore, metricsAfter) : null;
+
+  console.log(`\n📊 Results\n${formatSummary(result)}`);
+
+  const resultFile = path.join(options.out, `${scenario.name}-${startedAt.replace(/[:.]/g, '-')}.json`);
+  const baselineFile = options.baseline || path.join(__dirname, 'baselines', `${scenario.name}.json`);
+
+  const report = runs => options.report && writeReport(resultFile, runs, options.report);
+
+  if (run.interrupted) {
+    writeJson(resultFile, result);
+    console.log(`\nSaved ${resultFile} (interrupted run, not compared)`);
+    report([result]);
+    return 130;
+  }
+
+  if (options['save-baseline']) {
+    writeJson(resultFile, result);
+    writeJson(baselineFile, result);
+    console.log(`\nSaved ${resultFile}\nSaved as the baseline: ${baselineFile}`);
+    report([result]);
+    return 0;
+  }
+
+  if (!fs.existsSync(baselineFile)) {
+    writeJson(resultFile, result);
+    console.log(`\nSaved ${resultFile}\nNo baseline at ${baselineFile}; rerun with --save-baseline to create one`);
+    report([result]);
+    return 0;
+  }
+
+  const baseline = JSON.parse(fs.readFileSync(baselineFile, 'utf8'));
+  result.comparison = compare(result, baseline, thresholds);
+  writeJson(resultFile, result);
+  console.log(`\n${formatComparison(result.comparison)}\n\nSaved ${resultFile}`);
+  report([baseline, result]);
+  if (!result.comparison.passed) {
+    console.log('❌ Regression beyond tolerance');
+    return 1;
+  }
+  console.log('✅ Within tolerance of the baseline');
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error);
+    process.exit(2);
+  });
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+// Replays traffic recorded with RECORDING=on (src/recording.js) and compares latencies per route.
+//
+//   node stress-test/replay.js [recording files or directories] [options]
+//     --target URL           where to send it (default http://localhost:3000)
+//     --speed N|max          1 replays at the recorded pace (default), 2 twice as fast, max sends
+//                            everything at once (open loop)
+//     --max-in-flight N      cap on concurrent requests (default 256)
+//     --timeout SECONDS      per request (default 10)
+//     --limit N              only the first N recorded requests
+//     --out DIR              where the report is written (default stress-test/results)
+//
+// Reads ./recordings by default. Exit codes: 0 replayed, 2 bad usage or no recordings, 130 interrupted.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadRecordings } = require('./lib/recordings');
+const { replay } = require('./lib/replayer');
+const { summarizeReplay, formatReplay } = require('./lib/report');
+
+const USAGE = 'Usage: node stress-test/replay.js [files|dirs...] [--target URL] [--speed N|max] [--max-in-flight N] '
+  + '[--timeout SECONDS] [--limit N] [--out DIR]';
+
+function positiveNumber(value, option) {
+  const number = Number(value);
+  if (!(number > 0)) {
+    throw new Error(`--${option} must be a positive number`);
+  }
+  return number;
+}
+
+function parseCli() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      target: { type: 'string', default: 'http://localhost:3000' },
+      speed: { type: 'string', default: '1' },
+      'max-in-flight': { type: 'string', default: '256' },
+      timeout: { type: 'string', default: '10' },
+      limit: { type: 'string' },
+      out: { type: 'string', default: path.join(__dirname, 'results') },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  if (values.help) {
+    throw new Error(USAGE);
+  }
+  return {
+    inputs: positionals.length ? positionals : ['recordings'],
+    target: values.target.replace(/\/$/, ''),
+    speed: values.speed === 'max' ? Infinity : positiveNumber(values.speed, 'speed'),
+    maxInFlight: Math.floor(positiveNumber(values['max-in-flight'], 'max-in-flight')),
+    timeoutMs: positiveNumber(values.timeout, 'timeout') * 1000,
+    limit: values.limit === undefined ? Infinity : Math.floor(positiveNumber(values.limit, 'limit')),
+    out: values.out
+  };
+}
+
+async function main() {
+  let options;
+  let recording;
+  try {
+    options = parseCli();
+    recording = await loadRecordings(options.inputs, { limit: options.limit });
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+  const { files, records, skipped } = recording;
+  if (!records.length) {
+    console.error(`No recorded requests in ${options.inputs.join(', ')}`);
+    return 2;
+  }
+
+  const pace = options.speed === Infinity ? 'as fast as possible' : `at ${options.speed}x the recorded pace`;
+  console.log(`🔁 Replaying ${records.length} requests from ${files.length} files against ${options.target} ${pace}`
+    + (skipped ? ` (${skipped} unreadable lines skipped)` : ''));
+
+  const control = {};
+  process.once('SIGINT', () => {
+    console.log('\nInterrupted, waiting for requests in flight...');
+    control.stop();
+  });
+
+  const startedAt = new Date().toISOString();
+  const run = await replay(records, {
+    target: options.target,
+    speed: options.speed,
+    maxInFlight: options.maxInFlight,
+    timeoutMs: options.timeoutMs,
+    control,
+    onProgress: ({ sent, total, inFlight }) => console.log(`  ${sent}/${total} sent, ${inFlight} in flight`)
+  });
+  const summary = summarizeReplay(records, run, {
+    target: options.target,
+    speed: options.speed === Infinity ? 'max' : options.speed,
+    files,
+    startedAt,
+    finishedAt: new Date().toISOString()
+  });
+  console.log(`\n📊 Results\n${formatReplay(summary)}`);
+
+  const file = path.join(options.out, `replay-${startedAt.replace(/[:.]/g, '-')}.json`);
+  fs.mkdirSync(options.out, { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(summary, null, 2)}\n`);
+  console.log(`\nSaved ${file}`);
+  return run.interrupted ? 130 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error);
+    process.exit(2);
+  });
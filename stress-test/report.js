@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// Renders saved load results (stress-test/load.js) as a self-contained HTML or Markdown report:
+// client latencies next to what the server's /metrics saw during the run, per-route histograms,
+// database query times, cache hit ratios, heap and GC. Two results render side by side, the first
+// as the reference.
+//
+//   node stress-test/report.js <result.json> [other-result.json] [options]
+//     --format html|md       default html
+//     --out FILE             default next to the (first) result
+//
+// Exit codes: 0 written, 2 bad usage or unreadable results.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { renderReport } = require('./lib/render');
+
+const USAGE = 'Usage: node stress-test/report.js <result.json> [other-result.json] [--format html|md] [--out FILE]';
+const FORMATS = ['html', 'md'];
+
+function parseCli() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', default: 'html' },
+      out: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  if (values.help || positionals.length < 1 || positionals.length > 2) {
+    throw new Error(USAGE);
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+  }
+  return { files: positionals, format: values.format, out: values.out };
+}
+
+function readResult(file) {
+  const result = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!result.scenario || !result.latency || !result.byRequest) {
+    throw new Error(`${file}: not a load test result`);
+  }
+  return result;
+}
+
+function defaultOut(files, format) {
+  const base = file => path.basename(file).replace(/\.json$/, '');
+  const name = files.length === 1 ? base(files[0]) : `compare-${base(files[0])}-vs-${base(files[1])}`;
+  return path.join(path.dirname(files[0]), `${name}.${format}`);
+}
+
+function main() {
+  let options;
+  let runs;
+  try {
+    options = parseCli();
+    runs = options.files.map(readResult);
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+  const out = options.out || defaultOut(options.files, options.format);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, renderReport(runs, options.format));
+  console.log(`Saved ${out}`);
+  runs.filter(run => !run.server).forEach(run => {
+    console.log(`⚠️  ${run.scenario} (${run.startedAt}) has no server metrics; only client latencies are reported`);
+  });
+  return 0;
+}
+
+process.exit(main());
@@ -3,7 +3,9 @@ import { Redis } from 'ioredis';
 declare global {
   namespace Express {
     interface Request {
+      id: string;
       redis: Redis;
+      perfMode: 'naive' | 'optimized';
     }
   }
 }
\ No newline at end of file